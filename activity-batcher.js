@@ -0,0 +1,152 @@
+/**
+ * Content Activity Batcher
+ *
+ * Queues the content script's audit events and sends them to the background
+ * in batches. Loaded into the content script ahead of content-secure.js:
+ * - Repeats of the same interaction (a keystroke in the same field, a click on
+ *   the same button) within one window become a single event with a count;
+ *   callers pass the element, since its label may already be redacted
+ * - Batches go out when the window ends, when enough events are queued, when
+ *   a high-severity event arrives and when the page is hidden or unloaded
+ * - Queued and unanswered events are bounded; overflow is reported as a count
+ */
+
+class ActivityBatcher {
+  constructor() {
+    this.windowMs = 5000;
+    this.maxBatchSize = 50;
+    this.maxQueueSize = 200;
+    this.urgentSeverities = ['critical', 'high'];
+
+    // Detail fields that, with the element itself, identify "the same" interaction.
+    // Free text such as button labels is redacted away before events get here, so it cannot be used
+    this.coalescedActions = {
+      sensitive_field_interaction: ['fieldType', 'isUserInitiated'],
+      user_button_click: ['buttonType', 'formAction'],
+      untrusted_click_detected: ['target']
+    };
+
+    this.queue = [];
+    this.coalesced = new Map(); // coalesce key -> queued event
+    this.elementIds = new WeakMap(); // element -> number, so keys never hold page content
+    this.nextElementId = 1;
+    this.dropped = 0;
+    this.inFlight = 0; // Events handed to send() and not yet answered
+    this.flushTimer = null;
+    this.sending = Promise.resolve();
+    this.handlePageHide = this.handlePageHide.bind(this);
+  }
+
+  start() {
+    window.addEventListener('pagehide', this.handlePageHide);
+    document.addEventListener('visibilitychange', this.handlePageHide);
+  }
+
+  stop() {
+    window.removeEventListener('pagehide', this.handlePageHide);
+    document.removeEventListener('visibilitychange', this.handlePageHide);
+    return this.flush();
+  }
+
+  add(event, element = null) {
+    const key = this.coalesceKey(event, element);
+    const existing = key ? this.coalesced.get(key) : null;
+
+    if (existing) {
+      existing.details.count++;
+      existing.details.lastSeenAt = event.timestamp;
+      return;
+    }
+
+    // A background that stops answering must not make the page hold events forever
+    if (this.queue.length + this.inFlight >= this.maxQueueSize) {
+      this.dropped++;
+      return;
+    }
+
+    if (key) {
+      event.details = { ...event.details, count: 1, lastSeenAt: event.timestamp };
+      this.coalesced.set(key, event);
+    }
+    this.queue.push(event);
+
+    if (this.urgentSeverities.includes(event.details?.severity) || this.queue.length >= this.maxBatchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.windowMs);
+    }
+  }
+
+  coalesceKey(event, element) {
+    const fields = this.coalescedActions[event.action];
+    if (!fields) return null;
+    return JSON.stringify([
+      event.action,
+      this.elementId(element),
+      ...fields.map(field => event.details?.[field] ?? null)
+    ]);
+  }
+
+  elementId(element) {
+    if (!element || typeof element !== 'object') return null;
+    if (!this.elementIds.has(element)) {
+      this.elementIds.set(element, this.nextElementId++);
+    }
+    return this.elementIds.get(element);
+  }
+
+  handlePageHide(event) {
+    // The last chance to send before the page is frozen or discarded
+    if (event.type === 'pagehide' || document.visibilityState === 'hidden') {
+      this.flush();
+    }
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const events = this.queue.splice(0);
+    this.coalesced.clear();
+
+    if (this.dropped > 0) {
+      events.push({
+        timestamp: new Date().toISOString(),
+        action: 'activity_events_dropped',
+        details: { dropped: this.dropped, maxQueueSize: this.maxQueueSize }
+      });
+      this.dropped = 0;
+    }
+    if (events.length === 0) return this.sending;
+
+    // Batches are sent one after another so the background sees events in order
+    this.inFlight += events.length;
+    for (let start = 0; start < events.length; start += this.maxBatchSize) {
+      const batch = events.slice(start, start + this.maxBatchSize);
+      this.sending = this.sending.then(() => this.send(batch));
+    }
+    return this.sending;
+  }
+
+  async send(events) {
+    try {
+      const { rejected } = await messageProtocol.send('LOG_ACTIVITY_BATCH', { events });
+      if (rejected > 0) {
+        console.warn(`[SECURE EXTENSION] Background rejected ${rejected} of ${events.length} activity events`);
+      }
+    } catch (error) {
+      console.error('[SECURE EXTENSION] Failed to send activity batch to background:', error);
+    } finally {
+      this.inFlight -= events.length;
+    }
+  }
+}
+
+const activityBatcher = new ActivityBatcher();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ActivityBatcher
+  };
+}
@@ -0,0 +1,285 @@
+/**
+ * Audit Export Formats
+ *
+ * Turns audit log entries and scan results into files SOC tooling can ingest.
+ * Loaded by the popup and the audit log explorer:
+ * - Audit log as JSON, CSV, NDJSON or CEF over RFC 5424 syslog lines
+ * - Scan findings as SARIF 2.1.0
+ * - Every export comes with a manifest recording the extension version,
+ *   export time, entry count, applied filters, the log's hash chain state
+ *   and a SHA-256 of the file
+ * - Entries stored under a laxer redaction level than the current one are
+ *   redacted again (redaction.js) before they are written
+ */
+
+class AuditExporter {
+  constructor() {
+    this.formats = {
+      json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+      csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+      ndjson: { label: 'NDJSON', extension: 'ndjson', mimeType: 'application/x-ndjson' },
+      cef: { label: 'CEF (syslog)', extension: 'log', mimeType: 'text/plain' },
+      sarif: { label: 'SARIF (scan findings)', extension: 'sarif', mimeType: 'application/sarif+json' }
+    };
+    this.severityRank = { critical: 4, high: 3, medium: 2, low: 1, info: 0 };
+
+    // CEF severity is 0-10; syslog severity is 0 (emergency) to 7 (debug)
+    this.cefSeverity = { critical: 10, high: 8, medium: 5, low: 3, info: 1 };
+    this.syslogSeverity = { critical: 2, high: 3, medium: 4, low: 5, info: 6 };
+    this.syslogFacility = 1; // user-level messages
+    this.csvColumns = ['seq', 'timestamp', 'severity', 'action', 'domain', 'tabId', 'source', 'details', 'prevHash', 'hash'];
+  }
+
+  filterEntries(entries, { from = null, to = null, minSeverity = '' } = {}) {
+    return entries.filter(entry => {
+      const time = Date.parse(entry.timestamp);
+      if (from !== null && !(time >= from)) return false;
+      if (to !== null && !(time <= to)) return false;
+      if (minSeverity && this.severityRank[this.severityOf(entry)] < this.severityRank[minSeverity]) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  async exportAuditLog(entries, format, filters = {}, chain = null, redactionLevel = null) {
+    const filtered = this.filterEntries(entries, filters);
+    const selected = redactionLevel ? filtered.map(entry => this.redactEntry(entry, redactionLevel)) : filtered;
+    const writers = {
+      json: () => JSON.stringify(selected, null, 2),
+      csv: () => this.toCsv(selected),
+      ndjson: () => this.toNdjson(selected),
+      cef: () => this.toCef(selected)
+    };
+
+    if (!writers[format]) {
+      throw new Error(`Unsupported audit log format: ${format}`);
+    }
+
+    const result = await this.createExport('audit-log', format, writers[format](), selected.length, filters);
+
+    // Filtered exports skip links, but each entry still verifies against its prevHash
+    result.manifest.chain = {
+      anchor: chain ? chain.anchor : null,
+      head: chain ? chain.head : null,
+      firstSeq: selected.length > 0 ? selected[0].seq ?? null : null,
+      lastSeq: selected.length > 0 ? selected[selected.length - 1].seq ?? null : null,
+      complete: selected.length === entries.length
+    };
+
+    // Entries redacted again no longer match their hash, so say which ones
+    result.manifest.redaction = {
+      level: redactionLevel,
+      reRedactedSeqs: selected.filter(entry => entry.redactedOnExport).map(entry => entry.seq ?? null)
+    };
+    return result;
+  }
+
+  redactEntry(entry, level) {
+    if (entry.redaction && !logRedactor.isStricter(level, entry.redaction)) {
+      return entry;
+    }
+
+    const details = logRedactor.redact(entry.details || {}, level);
+    return {
+      ...entry,
+      details,
+      url: details.url || 'unknown',
+      redactedOnExport: level
+    };
+  }
+
+  async exportScan(scan, pageUrl) {
+    const content = JSON.stringify(this.toSarif(scan, pageUrl), null, 2);
+    return this.createExport('scan-findings', 'sarif', content, scan.findings.length, { pageUrl });
+  }
+
+  async createExport(kind, format, content, entryCount, filters) {
+    const { extension, mimeType } = this.formats[format];
+    const exportedAt = new Date().toISOString();
+    const filename = `extension-${kind}-${exportedAt.split('T')[0]}.${extension}`;
+    const manifest = chrome.runtime.getManifest();
+
+    return {
+      content,
+      filename,
+      mimeType,
+      manifest: {
+        kind,
+        format,
+        file: filename,
+        extensionName: manifest.name,
+        extensionVersion: manifest.version,
+        exportedAt,
+        entryCount,
+        filters: this.describeFilters(filters),
+        sha256: await this.sha256(content)
+      }
+    };
+  }
+
+  describeFilters(filters) {
+    const described = {};
+    Object.entries(filters).forEach(([name, value]) => {
+      if (value === null || value === '' || value === undefined) return;
+      described[name] = (name === 'from' || name === 'to') ? new Date(value).toISOString() : value;
+    });
+    return described;
+  }
+
+  toCsv(entries) {
+    const rows = entries.map(entry => [
+      entry.seq ?? '',
+      entry.timestamp,
+      this.severityOf(entry),
+      entry.action,
+      this.domainOf(entry) || '',
+      entry.details?.tabId ?? '',
+      entry.details?.source || 'background',
+      JSON.stringify(entry.details || {}),
+      entry.prevHash || '',
+      entry.hash || ''
+    ].map(value => this.csvField(value)).join(','));
+
+    return [this.csvColumns.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  csvField(value) {
+    let text = String(value);
+
+    // Spreadsheets run cells starting with these characters as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  toNdjson(entries) {
+    return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : '');
+  }
+
+  toCef(entries) {
+    const manifest = chrome.runtime.getManifest();
+    const header = (value) => String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+    const field = (value) => String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/=/g, '\\=')
+      .replace(/\r?\n/g, '\\n');
+
+    return entries.map(entry => {
+      const severity = this.severityOf(entry);
+      const priority = this.syslogFacility * 8 + this.syslogSeverity[severity];
+      const extension = [
+        `rt=${Date.parse(entry.timestamp)}`,
+        `act=${field(entry.action)}`,
+        this.domainOf(entry) ? `dhost=${field(this.domainOf(entry))}` : null,
+        entry.details?.tabId !== undefined ? `cn1Label=tabId cn1=${Number(entry.details.tabId)}` : null,
+        `cs1Label=source cs1=${field(entry.details?.source || 'background')}`,
+        entry.seq !== undefined ? `cn2Label=seq cn2=${Number(entry.seq)}` : null,
+        entry.hash ? `cs2Label=hash cs2=${field(entry.hash)} cs3Label=prevHash cs3=${field(entry.prevHash)}` : null,
+        // CEF consumers commonly cap msg at 1023 characters
+        `msg=${field(JSON.stringify(entry.details || {}).substring(0, 1023))}`
+      ].filter(Boolean).join(' ');
+
+      const cef = [
+        'CEF:0',
+        header('Secure Extension'),
+        header(manifest.name),
+        header(manifest.version),
+        header(entry.action),
+        header(entry.action.replace(/_/g, ' ')),
+        this.cefSeverity[severity],
+        extension
+      ].join('|');
+
+      return `<${priority}>1 ${entry.timestamp} - secure-extension - ${entry.action.substring(0, 32)} - ${cef}`;
+    }).join('\n') + (entries.length > 0 ? '\n' : '');
+  }
+
+  toSarif(scan, pageUrl) {
+    const manifest = chrome.runtime.getManifest();
+    const rules = new Map();
+
+    const results = scan.findings.map(finding => {
+      if (!rules.has(finding.id)) {
+        rules.set(finding.id, {
+          id: finding.id,
+          shortDescription: { text: finding.description },
+          help: { text: finding.remediation || '' },
+          defaultConfiguration: { level: this.sarifLevel(finding.severity) },
+          properties: { severity: finding.severity }
+        });
+      }
+
+      return {
+        ruleId: finding.id,
+        level: this.sarifLevel(finding.severity),
+        message: { text: finding.description },
+        locations: [{ physicalLocation: { artifactLocation: { uri: pageUrl } } }],
+        properties: {
+          severity: finding.severity,
+          evidence: finding.evidence || [],
+          ...(finding.directive ? { directive: finding.directive } : {})
+        }
+      };
+    });
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: manifest.name,
+            version: manifest.version,
+            rules: Array.from(rules.values())
+          }
+        },
+        invocations: [{
+          executionSuccessful: true,
+          endTimeUtc: new Date(scan.timestamp || Date.now()).toISOString()
+        }],
+        results,
+        properties: { score: scan.score, summary: scan.summary }
+      }]
+    };
+  }
+
+  sarifLevel(severity) {
+    if (severity === 'critical' || severity === 'high') return 'error';
+    if (severity === 'medium') return 'warning';
+    return 'note';
+  }
+
+  severityOf(entry) {
+    // Entries written before severities were recorded count as informational
+    return entry.severity in this.severityRank ? entry.severity : 'info';
+  }
+
+  domainOf(entry) {
+    const candidates = [entry.details?.origin, entry.details?.url, entry.url];
+    for (const candidate of candidates) {
+      if (typeof candidate !== 'string' || candidate === 'unknown') continue;
+      try {
+        return new URL(candidate).hostname || null;
+      } catch (error) {
+        // Not a URL; try the next candidate
+      }
+    }
+    return typeof entry.details?.domain === 'string' ? entry.details.domain : null;
+  }
+
+  async sha256(content) {
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content)));
+    return Array.from(hash, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+const auditExporter = new AuditExporter();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AuditExporter
+  };
+}
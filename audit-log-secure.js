@@ -0,0 +1,281 @@
+/**
+ * Secure Audit Log Explorer
+ *
+ * Full-page view of the SecurityLogger trail, opened from the popup:
+ * - Streams the whole history and new entries over a dedicated port
+ * - Free-text search plus action, severity, domain, tab and time filters
+ * - Newest entries first, paged so thousands of entries stay responsive
+ * - Details are rendered as text only, never as markup
+ */
+
+class SecureAuditLogExplorer {
+  constructor() {
+    this.portName = 'audit-log';
+    this.pageSize = 100;
+
+    this.entries = [];
+    this.filtered = [];
+    this.page = 0;
+    this.live = true;
+    this.pendingCount = 0;
+    this.port = null;
+
+    // Reconnects back off up to the cap; ports closed before any snapshot count as refusals
+    this.initialReconnectDelayMs = 1000;
+    this.maxReconnectDelayMs = 30000;
+    this.reconnectDelayMs = this.initialReconnectDelayMs;
+    this.maxRefusedConnects = 3;
+    this.refusedConnects = 0;
+
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+    this.connect();
+  }
+
+  setupEventListeners() {
+    const form = document.getElementById('filter-form');
+    form.addEventListener('input', () => this.applyFilters(true));
+    form.addEventListener('change', () => this.applyFilters(true));
+    form.addEventListener('submit', event => event.preventDefault());
+
+    document.getElementById('live-toggle').addEventListener('change', (event) => {
+      this.live = event.target.checked;
+      if (this.live) {
+        this.pendingCount = 0;
+        this.applyFilters(false);
+      }
+    });
+
+    document.getElementById('prev-page-btn').addEventListener('click', () => this.goToPage(this.page - 1));
+    document.getElementById('next-page-btn').addEventListener('click', () => this.goToPage(this.page + 1));
+  }
+
+  connect() {
+    this.port = chrome.runtime.connect({ name: this.portName });
+    let connected = false;
+
+    this.port.onMessage.addListener((message) => {
+      const problem = messageProtocol.validatePortMessage(this.portName, 'toPage', message);
+      if (problem) {
+        this.showError('Ignored a malformed message from the extension: ' + problem);
+        return;
+      }
+
+      if (message.type === 'AUDIT_LOG_SNAPSHOT') {
+        connected = true;
+        this.refusedConnects = 0;
+        this.reconnectDelayMs = this.initialReconnectDelayMs;
+
+        this.entries = message.logs;
+        this.pendingCount = 0;
+        this.refreshFilterOptions();
+        this.applyFilters(true);
+      } else if (message.type === 'AUDIT_LOG_ENTRY') {
+        this.handleNewEntry(message.entry);
+      }
+    });
+
+    this.port.onDisconnect.addListener(() => {
+      // The background rejects ports from unexpected pages before sending anything; retrying will not help
+      if (!connected && ++this.refusedConnects >= this.maxRefusedConnects) {
+        this.showError('The extension refused the audit log connection. Reload the page to try again.', true);
+        return;
+      }
+
+      // The service worker may have been stopped; reconnect to get a fresh snapshot
+      if (chrome.runtime.lastError) {
+        this.showError('Connection to the extension was lost: ' + chrome.runtime.lastError.message);
+      }
+      const delay = this.reconnectDelayMs;
+      this.reconnectDelayMs = Math.min(delay * 2, this.maxReconnectDelayMs);
+      setTimeout(() => this.connect(), delay);
+    });
+  }
+
+  handleNewEntry(entry) {
+    if (!entry || typeof entry !== 'object') return;
+
+    this.entries.push(entry);
+    this.addFilterOptions([entry]);
+
+    if (this.live) {
+      this.applyFilters(false);
+    } else {
+      this.pendingCount++;
+      this.renderCount();
+    }
+  }
+
+  refreshFilterOptions() {
+    ['filter-action', 'filter-domain', 'filter-tab'].forEach(id => {
+      const select = document.getElementById(id);
+      while (select.options.length > 1) {
+        select.remove(1);
+      }
+    });
+    this.addFilterOptions(this.entries);
+  }
+
+  addFilterOptions(entries) {
+    const add = (id, value, label = value) => {
+      if (value === null || value === undefined || value === '') return;
+
+      const select = document.getElementById(id);
+      const known = Array.from(select.options).some(option => option.value === String(value));
+      if (!known) {
+        select.add(new Option(label, String(value)));
+      }
+    };
+
+    entries.forEach(entry => {
+      add('filter-action', entry.action);
+      add('filter-domain', this.domainOf(entry));
+      add('filter-tab', entry.details?.tabId, `Tab ${entry.details?.tabId}`);
+    });
+  }
+
+  readFilters() {
+    const value = id => document.getElementById(id).value;
+    const time = id => (value(id) ? new Date(value(id)).getTime() : null);
+
+    return {
+      text: value('filter-text').trim().toLowerCase(),
+      action: value('filter-action'),
+      severity: value('filter-severity'),
+      domain: value('filter-domain'),
+      tab: value('filter-tab'),
+      from: time('filter-from'),
+      to: time('filter-to')
+    };
+  }
+
+  matches(entry, filters) {
+    if (filters.action && entry.action !== filters.action) return false;
+    if (filters.domain && this.domainOf(entry) !== filters.domain) return false;
+    if (filters.tab && String(entry.details?.tabId) !== filters.tab) return false;
+
+    // Severity and time range follow the same rules as exports
+    const bounds = { from: filters.from, to: filters.to, minSeverity: filters.severity };
+    if (auditExporter.filterEntries([entry], bounds).length === 0) return false;
+
+    if (filters.text) {
+      return JSON.stringify(entry).toLowerCase().includes(filters.text);
+    }
+    return true;
+  }
+
+  applyFilters(resetPage) {
+    const filters = this.readFilters();
+
+    // Newest first
+    this.filtered = this.entries
+      .filter(entry => this.matches(entry, filters))
+      .reverse();
+
+    if (resetPage) {
+      this.page = 0;
+    }
+    this.goToPage(this.page);
+  }
+
+  goToPage(page) {
+    const lastPage = Math.max(0, Math.ceil(this.filtered.length / this.pageSize) - 1);
+    this.page = Math.min(Math.max(page, 0), lastPage);
+
+    this.renderEntries();
+    this.renderCount();
+
+    document.getElementById('prev-page-btn').disabled = this.page === 0;
+    document.getElementById('next-page-btn').disabled = this.page >= lastPage;
+    document.getElementById('page-label').textContent = `Page ${this.page + 1} of ${lastPage + 1}`;
+  }
+
+  renderCount() {
+    const pending = this.pendingCount > 0 ? ` (${this.pendingCount} new while paused)` : '';
+    document.getElementById('result-count').textContent =
+      `${this.filtered.length} of ${this.entries.length} entries${pending}`;
+  }
+
+  renderEntries() {
+    const list = document.getElementById('entry-list');
+    list.replaceChildren();
+
+    const start = this.page * this.pageSize;
+    const pageEntries = this.filtered.slice(start, start + this.pageSize);
+
+    if (pageEntries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = this.entries.length === 0 ? 'The audit log is empty' : 'No entries match these filters';
+      list.appendChild(empty);
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    pageEntries.forEach(entry => fragment.appendChild(this.createEntryElement(entry)));
+    list.appendChild(fragment);
+  }
+
+  createEntryElement(entry) {
+    const element = document.createElement('details');
+    element.className = 'entry';
+
+    const summary = document.createElement('summary');
+    const cell = (className, text) => {
+      const span = document.createElement('span');
+      span.className = className;
+      span.textContent = text;
+      summary.appendChild(span);
+    };
+
+    const severity = this.severityOf(entry);
+    cell('entry-time', new Date(entry.timestamp).toLocaleString());
+    cell(`entry-severity severity-${severity}`, severity);
+    cell('entry-action', entry.action || 'unknown');
+    cell('entry-domain', this.domainOf(entry) || '-');
+    cell('entry-tab', entry.details?.tabId !== undefined ? `#${entry.details.tabId}` : '');
+
+    element.appendChild(summary);
+
+    // Building the JSON only when expanded keeps large pages fast
+    element.addEventListener('toggle', () => {
+      if (element.open && !element.querySelector('pre')) {
+        const details = document.createElement('pre');
+        details.textContent = JSON.stringify(entry.details || {}, null, 2);
+        element.appendChild(details);
+      }
+    });
+
+    return element;
+  }
+
+  severityOf(entry) {
+    return auditExporter.severityOf(entry);
+  }
+
+  domainOf(entry) {
+    return auditExporter.domainOf(entry);
+  }
+
+  showError(message, persistent = false) {
+    const errorContainer = document.getElementById('error-container');
+    const error = document.createElement('div');
+    error.className = 'error';
+    error.textContent = message;
+    errorContainer.replaceChildren(error);
+
+    if (persistent) return;
+    setTimeout(() => {
+      // A later error may have replaced this one
+      if (error.isConnected) errorContainer.replaceChildren();
+    }, 5000);
+  }
+}
+
+// Initialize the explorer when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+  new SecureAuditLogExplorer();
+});
@@ -3,7 +3,7 @@
  * 
  * This background script implements security-first principles for browser extension security:
  * - No obfuscated code: All functionality is transparent and auditable
- * - Minimal permissions usage: Only requests activeTab and storage permissions
+ * - Minimal permissions usage: activeTab, storage and scripting; host access is optional per domain
  * - Transparent logging: Comprehensive audit trail of all activities
  * - User consent for all operations: Explicit permission required for data storage
  * 
@@ -15,10 +15,16 @@
  * @requires chrome.runtime - For extension lifecycle and messaging
  * @requires chrome.storage - For secure local data storage
  * @requires chrome.tabs - For monitoring tab navigation (security purposes)
+ * @requires chrome.scripting - For registering the content script on monitored domains
+ * @requires chrome.permissions - For checking per-domain host access
+ * @requires chrome.webRequest - For observing response headers of monitored pages (read-only)
+ * @requires chrome.action - For the per-tab security score badge
+ * @requires chrome.cookies - For the cookie audit, only once the user grants the optional permission
  * 
  * Security Features:
  * - Origin validation for all inter-component communication
- * - Rate limiting to prevent abuse (60 requests/minute per tab)
+ * - Versioned, schema-checked messages with a uniform response envelope
+ * - Token-bucket rate limiting per tab and message type
  * - Comprehensive security event logging with timestamps
  * - User consent workflow for all data storage operations
  * - Automatic cleanup and error recovery mechanisms
@@ -36,185 +42,2164 @@
  * - Manifest V3 security standards
  */
 
+// Shared modules (classic service worker, so importScripts)
+if (typeof importScripts === 'function') {
+  importScripts('monitored-domains.js', 'security-headers.js', 'cookie-auditor.js', 'redaction.js', 'message-protocol.js');
+}
+
+// Privacy-focused storage manager with AES-GCM encryption at rest
+class SecureStorage {
+  constructor() {
+    this.encryptionKey = null;
+    this.keyLoading = null;
+    this.keyInfoKey = 'encryptionKeyInfo';
+    this.sessionKeyKey = 'encryptionKeyMaterial';
+    this.unreadableKey = 'unreadableStorage';
+    this.keyDbName = 'secure-extension-keys';
+    this.keyStoreName = 'keys';
+    this.pbkdf2Iterations = 310000;
+    this.verifierText = 'secure-extension-key-check';
+
+    // Keys that are only written once the user agrees, with the purpose the prompt shows.
+    // Security settings are exempt: they only ever hold choices the user just made themselves
+    this.consentKeys = {
+      siteBaselines: {
+        purpose: 'The script, form, frame and header profile of each monitored site, to spot changes between visits.',
+        // Written by automatic scans, so asked once per install; an unremembered answer would prompt on every visit
+        alwaysRemember: true
+      }
+    };
+  }
+
+  async store(key, value, requiresConsent = true) {
+    if (requiresConsent && !await this.getUserConsent(key, value)) {
+      securityLogger.log('storage_denied', { key, reason: 'user_refused_consent' });
+      throw new Error('User denied storage consent');
+    }
+
+    try {
+      await this.writeEncrypted(key, value);
+      securityLogger.log('data_stored', { key, hasValue: !!value, encrypted: true });
+    } catch (error) {
+      securityLogger.log('storage_error', { key, error: error.message, code: error.code });
+      throw error;
+    }
+  }
+
+  async retrieve(key) {
+    try {
+      const value = await this.readEncrypted(key);
+      securityLogger.log('data_retrieved', { key, hasValue: !!value });
+      return value;
+    } catch (error) {
+      securityLogger.log('retrieval_error', { key, error: error.message, code: error.code });
+      throw error;
+    }
+  }
+
+  // Unlogged variants for callers that must not feed the audit log back into itself
+  async writeEncrypted(key, value) {
+    const envelope = await this.encrypt(value, await this.getKey());
+    await chrome.storage.local.set({ [key]: envelope });
+  }
+
+  async readEncrypted(key) {
+    const result = await chrome.storage.local.get([key]);
+    const stored = result[key];
+
+    // Values written before encryption was introduced are returned as-is
+    if (!this.isEnvelope(stored)) {
+      return stored;
+    }
+
+    try {
+      return await this.decrypt(stored, await this.getKey());
+    } catch (error) {
+      if (error.code === 'DECRYPTION_FAILED') {
+        await this.preserveUnreadable(key, stored);
+      }
+      throw error;
+    }
+  }
+
+  async preserveUnreadable(key, envelope) {
+    // Callers start over when data is unreadable; the envelope is set aside first so it is never lost
+    const result = await chrome.storage.local.get([this.unreadableKey]);
+    const preserved = result[this.unreadableKey] || {};
+    const id = `${key}:${envelope.keyId}`;
+    if (preserved[id]) return;
+
+    preserved[id] = { key, keyId: envelope.keyId, preservedAt: new Date().toISOString(), envelope };
+    await chrome.storage.local.set({ [this.unreadableKey]: preserved });
+  }
+
+  isEnvelope(stored) {
+    return !!stored && typeof stored === 'object' &&
+      stored.encrypted === true && stored.alg === 'AES-GCM';
+  }
+
+  async encrypt(value, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value ?? null));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key.cryptoKey, plaintext);
+
+    return {
+      encrypted: true,
+      alg: 'AES-GCM',
+      keyId: key.keyId,
+      iv: this.bytesToBase64(iv),
+      data: this.bytesToBase64(new Uint8Array(ciphertext))
+    };
+  }
+
+  async decrypt(envelope, key) {
+    if (envelope.keyId !== key.keyId) {
+      throw this.createStorageError('DECRYPTION_FAILED',
+        'Data was encrypted with a key that is no longer available');
+    }
+
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.base64ToBytes(envelope.iv) },
+        key.cryptoKey,
+        this.base64ToBytes(envelope.data)
+      );
+      return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+      throw this.createStorageError('DECRYPTION_FAILED',
+        'Stored data could not be decrypted; it may be corrupted or tampered with');
+    }
+  }
+
+  async getKey() {
+    if (this.encryptionKey) {
+      return this.encryptionKey;
+    }
+
+    // Concurrent first writes must not each generate their own key
+    if (!this.keyLoading) {
+      this.keyLoading = this.loadOrCreateKey().finally(() => {
+        this.keyLoading = null;
+      });
+    }
+    return this.keyLoading;
+  }
+
+  async loadOrCreateKey() {
+    const info = await this.getKeyInfo();
+
+    // Session storage holds an unlocked passphrase key across service worker restarts
+    const session = await chrome.storage.session.get([this.sessionKeyKey]);
+    const material = session[this.sessionKeyKey];
+    if (material) {
+      const key = {
+        keyId: material.keyId,
+        cryptoKey: await this.importRawKey(this.base64ToBytes(material.raw))
+      };
+      if (info?.mode !== 'passphrase') {
+        // Session keys from earlier versions move to the device key store so they outlive the browser session
+        await this.activateKey(key, null, { ...info, mode: 'device' });
+        return this.encryptionKey;
+      }
+      this.encryptionKey = key;
+      return this.encryptionKey;
+    }
+
+    if (info?.mode === 'passphrase') {
+      throw this.createStorageError('STORAGE_LOCKED',
+        'Encrypted storage is locked; enter your passphrase to unlock it');
+    }
+
+    if (info) {
+      const cryptoKey = await this.loadDeviceKey(info.keyId);
+      if (cryptoKey) {
+        this.encryptionKey = { keyId: info.keyId, cryptoKey };
+        return this.encryptionKey;
+      }
+    }
+
+    await this.activateKey(await this.generateDeviceKey(), null, { mode: 'device' });
+
+    if (info) {
+      // The previous key is gone; data it protected is set aside as unreadable when next read
+      securityLogger.log('encryption_key_regenerated', { previousKeyId: info.keyId });
+    }
+
+    return this.encryptionKey;
+  }
+
+  async generateDeviceKey() {
+    // Non-extractable: the key material can be used but never read back, not even by the extension
+    const cryptoKey = await crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+    );
+    return { keyId: crypto.randomUUID(), cryptoKey };
+  }
+
+  loadDeviceKey(keyId) {
+    return this.withKeyStore('readonly', store => store.get(keyId));
+  }
+
+  saveDeviceKey(key) {
+    return this.withKeyStore('readwrite', store => store.put(key.cryptoKey, key.keyId));
+  }
+
+  deleteDeviceKey(keyId) {
+    return this.withKeyStore('readwrite', store => store.delete(keyId));
+  }
+
+  async withKeyStore(mode, operation) {
+    // IndexedDB can hold a CryptoKey itself, which chrome.storage cannot
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.keyDbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.keyStoreName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(this.keyStoreName, mode);
+        const request = operation(transaction.objectStore(this.keyStoreName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  async getKeyInfo() {
+    const result = await chrome.storage.local.get([this.keyInfoKey]);
+    return result[this.keyInfoKey] || null;
+  }
+
+  async getEncryptionStatus() {
+    const info = await this.getKeyInfo();
+    const session = await chrome.storage.session.get([this.sessionKeyKey]);
+    const result = await chrome.storage.local.get([this.unreadableKey]);
+
+    return {
+      mode: info?.mode === 'passphrase' ? 'passphrase' : 'device',
+      locked: info?.mode === 'passphrase' && !session[this.sessionKeyKey],
+      keyId: info?.keyId || null,
+      createdAt: info?.createdAt || null,
+      // Envelopes kept after their key was lost; only where they came from is reported
+      unreadable: Object.values(result[this.unreadableKey] || {})
+        .map(({ key, keyId, preservedAt }) => ({ key, keyId, preservedAt }))
+    };
+  }
+
+  async setPassphrase(passphrase) {
+    this.assertPassphrase(passphrase);
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const { key, raw } = await this.deriveKey(passphrase, salt, crypto.randomUUID());
+    await this.rotateTo(key, raw, {
+      mode: 'passphrase',
+      salt: this.bytesToBase64(salt),
+      iterations: this.pbkdf2Iterations
+    });
+
+    securityLogger.log('encryption_passphrase_set', { keyId: key.keyId });
+  }
+
+  async unlock(passphrase) {
+    this.assertPassphrase(passphrase);
+
+    const info = await this.getKeyInfo();
+    if (info?.mode !== 'passphrase') {
+      throw this.createStorageError('NOT_LOCKED', 'Storage is not protected by a passphrase');
+    }
+
+    const { key, raw } = await this.deriveKey(
+      passphrase, this.base64ToBytes(info.salt), info.keyId, info.iterations
+    );
+
+    try {
+      await this.decrypt(info.verifier, key);
+    } catch (error) {
+      securityLogger.log('storage_unlock_failed', { reason: 'wrong_passphrase' });
+      throw this.createStorageError('WRONG_PASSPHRASE', 'Incorrect passphrase');
+    }
+
+    this.encryptionKey = key;
+    await chrome.storage.session.set({
+      [this.sessionKeyKey]: { keyId: key.keyId, raw: this.bytesToBase64(raw) }
+    });
+    securityLogger.log('storage_unlocked', { keyId: key.keyId });
+  }
+
+  async rotateKey() {
+    const info = await this.getKeyInfo();
+    if (info?.mode === 'passphrase') {
+      throw this.createStorageError('PASSPHRASE_REQUIRED',
+        'Set the passphrase again to rotate a passphrase-derived key');
+    }
+
+    const key = await this.generateDeviceKey();
+    await this.rotateTo(key, null, { mode: 'device' });
+
+    securityLogger.log('encryption_key_rotated', { keyId: key.keyId });
+  }
+
+  async rotateTo(newKey, raw, info) {
+    const oldKey = await this.getKey();
+    const everything = await chrome.storage.local.get(null);
+
+    // Decrypt everything first so a failure leaves the old key in place
+    const reencrypted = {};
+    for (const [storageKey, stored] of Object.entries(everything)) {
+      if (this.isEnvelope(stored) && stored.keyId === oldKey.keyId) {
+        reencrypted[storageKey] = await this.encrypt(await this.decrypt(stored, oldKey), newKey);
+      }
+    }
+
+    await chrome.storage.local.set(reencrypted);
+    await this.activateKey(newKey, raw, info);
+
+    // Nothing is encrypted with the old key any more
+    await this.deleteDeviceKey(oldKey.keyId);
+  }
+
+  // Passphrase keys pass their raw bytes for the session; device keys have none and go to IndexedDB
+  async activateKey(key, raw, info) {
+    if (raw) {
+      await chrome.storage.session.set({
+        [this.sessionKeyKey]: { keyId: key.keyId, raw: this.bytesToBase64(raw) }
+      });
+    } else {
+      await this.saveDeviceKey(key);
+      await chrome.storage.session.remove(this.sessionKeyKey);
+    }
+
+    this.encryptionKey = key;
+    await chrome.storage.local.set({
+      [this.keyInfoKey]: {
+        ...info,
+        keyId: key.keyId,
+        createdAt: new Date().toISOString(),
+        // Lets unlock() tell a wrong passphrase apart from corrupted data
+        verifier: await this.encrypt(this.verifierText, key)
+      }
+    });
+  }
+
+  async deriveKey(passphrase, salt, keyId, iterations = this.pbkdf2Iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, baseKey, 256
+    );
+    const raw = new Uint8Array(bits);
+
+    return { key: { keyId, cryptoKey: await this.importRawKey(raw) }, raw };
+  }
+
+  importRawKey(raw) {
+    return crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  assertPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < 12) {
+      throw this.createStorageError('WEAK_PASSPHRASE', 'Passphrase must be at least 12 characters');
+    }
+  }
+
+  createStorageError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+
+  async getUserConsent(key, value) {
+    const policy = this.consentKeys[key] || {};
+    return consentManager.requestConsent(
+      key,
+      policy.purpose || 'Data saved by the extension on this device.',
+      this.describeValue(value),
+      { alwaysRemember: policy.alwaysRemember === true }
+    );
+  }
+
+  describeValue(value) {
+    // Describe the shape of the data only; values never leave the background
+    if (Array.isArray(value)) {
+      return `A list of ${value.length} item(s)`;
+    }
+    if (value && typeof value === 'object') {
+      const fields = Object.keys(value);
+      return fields.length > 0
+        ? `A record with the fields: ${fields.join(', ')}`
+        : 'An empty record';
+    }
+    return `A single ${typeof value} value`;
+  }
+}
+
+const secureStorage = new SecureStorage();
+
 // Security audit logging
 class SecurityLogger {
-  constructor() {
+  constructor(storage) {
+    this.storage = storage;
     this.logs = [];
     this.maxLogs = 1000;
+    this.maxStorageBytes = 1024 * 1024; // 1 MB of serialized entries
+    this.storageKey = 'securityAuditLog';
+    this.flushDelayMs = 2000;
+    this.flushBatchSize = 50;
+    this.pendingWrites = 0;
+    this.flushTimer = null;
+    this.persistedLoaded = false;
+    this.enabled = true;
+    this.redactionLevel = logRedactor.defaultLevel;
+    this.redactionSaltKey = 'logRedactionSalt';
+    this.viewerPortName = 'audit-log';
+    this.viewerPageUrl = 'audit-log-secure.html';
+    this.viewers = new Set();
+    this.severities = ['critical', 'high', 'medium', 'low', 'info'];
+
+    // Hash chain: each entry commits to the one before it
+    this.genesisHash = '0'.repeat(64);
+    this.anchor = null; // Last entry dropped from the trail, so truncation stays detectable
+    this.head = { seq: 0, hash: this.genesisHash };
+
+    // Actions that signal a problem even when the reporter gave no severity
+    this.actionSeverities = {
+      message_blocked: 'medium',
+      rate_limit_exceeded: 'medium',
+      activity_rejected: 'medium',
+      consent_port_rejected: 'high',
+      consent_port_message_rejected: 'high',
+      audit_log_viewer_rejected: 'high',
+      audit_log_unreadable: 'high',
+      content_script_registration_error: 'medium',
+      message_error: 'low',
+      suspicious_script_detected: 'low',
+      untrusted_click_detected: 'low'
+    };
+
+    // Until the salt is loaded, identifiers are masked rather than hashed
+    this.loadRedactionSalt();
+
+    // Entries logged before the persisted trail is loaded are merged in afterwards
+    this.ready = this.loadPersistedLogs();
+    this.chainTail = this.ready;
+  }
+
+  log(action, details = {}) {
+    // Honour the user's auditingEnabled setting
+    if (!this.enabled) return;
+
+    // Nothing reaches memory, storage or the log viewer unredacted
+    const redacted = logRedactor.redact(details, this.redactionLevel);
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      action,
+      severity: this.severityFor(action, details),
+      details: redacted,
+      url: redacted.url || 'unknown',
+      redaction: this.redactionLevel
+    };
+    
+    this.logs.push(logEntry);
+    
+    // Keep only recent logs to prevent memory issues
+    if (this.logs.length > this.maxLogs) {
+      this.dropOldest(this.logs.length - this.maxLogs, 'max_entries');
+    }
+    
+    console.log('[SECURITY AUDIT]', logEntry);
+
+    // Hashing is asynchronous; sealing in a queue keeps the chain in log order
+    this.chainTail = this.chainTail
+      .then(() => this.sealPending())
+      .catch(error => console.error('[SECURITY AUDIT] Failed to seal audit entries:', error));
+
+    this.scheduleFlush();
+  }
+
+  async sealPending() {
+    // Entries stay unsealed until the persisted chain is known, then join its end
+    if (!this.persistedLoaded) return;
+
+    const pending = this.logs.filter(entry => !entry.hash);
+    for (const entry of pending) {
+      entry.seq = this.head.seq + 1;
+      entry.prevHash = this.head.hash;
+      entry.hash = await this.hashEntry(entry);
+      this.head = { seq: entry.seq, hash: entry.hash };
+
+      // Viewers only see entries they can check against the chain
+      this.notifyViewers('AUDIT_LOG_ENTRY', { entry });
+    }
+  }
+
+  async hashEntry(entry) {
+    const { hash, ...sealed } = entry;
+    const bytes = new TextEncoder().encode(this.canonicalize(sealed));
+    return this.bytesToHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+  }
+
+  canonicalize(value) {
+    // Sorted keys, so the hash does not depend on property order after a storage round trip
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  dropOldest(count, reason) {
+    const dropped = this.logs.splice(0, count);
+    const lastSealed = dropped.filter(entry => entry.hash).pop();
+
+    if (lastSealed) {
+      this.anchor = {
+        seq: lastSealed.seq,
+        hash: lastSealed.hash,
+        reason,
+        droppedAt: new Date().toISOString()
+      };
+    }
+  }
+
+  getChainState() {
+    return { anchor: this.anchor, head: { ...this.head } };
+  }
+
+  async verifyChain(entries, anchor) {
+    let expected = anchor ? { seq: anchor.seq, hash: anchor.hash } : { seq: 0, hash: this.genesisHash };
+    const result = { valid: true, checked: 0, anchor: anchor || null, head: null, firstBroken: null };
+
+    const broken = (entry, index, reason) => ({
+      ...result,
+      valid: false,
+      firstBroken: { index, seq: entry.seq ?? null, timestamp: entry.timestamp, action: entry.action, reason }
+    });
+
+    for (let index = 0; index < entries.length; index++) {
+      const entry = entries[index];
+
+      if (!entry || typeof entry.hash !== 'string') {
+        return broken(entry || {}, index, 'unsealed_entry');
+      }
+      if (entry.seq !== expected.seq + 1) {
+        return broken(entry, index, 'sequence_gap');
+      }
+      if (entry.prevHash !== expected.hash) {
+        return broken(entry, index, 'previous_hash_mismatch');
+      }
+      if (await this.hashEntry(entry) !== entry.hash) {
+        return broken(entry, index, 'entry_modified');
+      }
+
+      expected = { seq: entry.seq, hash: entry.hash };
+      result.checked++;
+    }
+
+    result.head = expected;
+    return result;
+  }
+
+  async verifyIntegrity() {
+    await this.ready;
+
+    // Check what is actually stored, after writing out everything sealed so far
+    await this.flush();
+    const stored = await this.storage.readEncrypted(this.storageKey);
+    const { anchor, entries } = this.readPersisted(stored);
+
+    const result = await this.verifyChain(entries, anchor);
+    this.log('audit_log_verified', {
+      valid: result.valid,
+      checked: result.checked,
+      firstBroken: result.firstBroken,
+      severity: result.valid ? 'info' : 'critical'
+    });
+    return result;
+  }
+
+  readPersisted(stored) {
+    // Trails written before chaining were a bare array of entries
+    if (Array.isArray(stored)) {
+      return { anchor: null, entries: stored };
+    }
+    if (stored && Array.isArray(stored.entries)) {
+      return { anchor: stored.anchor || null, entries: stored.entries };
+    }
+    return { anchor: null, entries: [] };
+  }
+
+  severityFor(action, details) {
+    if (this.severities.includes(details.severity)) {
+      return details.severity;
+    }
+    return this.actionSeverities[action] || 'info';
+  }
+
+  handleConnect(port) {
+    const expectedUrl = chrome.runtime.getURL(this.viewerPageUrl);
+    if (port.name !== this.viewerPortName) return;
+
+    // Only the log explorer page may stream the audit trail
+    if (port.sender?.id !== chrome.runtime.id || !port.sender?.url?.startsWith(expectedUrl)) {
+      this.log('audit_log_viewer_rejected', { url: port.sender?.url });
+      port.disconnect();
+      return;
+    }
+
+    this.viewers.add(port);
+    port.onDisconnect.addListener(() => this.viewers.delete(port));
+
+    this.ready.then(() => this.chainTail).then(() => {
+      if (this.viewers.has(port)) {
+        port.postMessage(messageProtocol.createPortMessage(this.viewerPortName, 'toPage',
+          'AUDIT_LOG_SNAPSHOT', { logs: this.logs }));
+      }
+    });
+  }
+
+  notifyViewers(type, fields) {
+    if (this.viewers.size === 0) return;
+
+    const message = messageProtocol.createPortMessage(this.viewerPortName, 'toPage', type, fields);
+    this.viewers.forEach(port => {
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        // The page went away between the disconnect and this entry
+        this.viewers.delete(port);
+      }
+    });
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  setRedactionLevel(level) {
+    this.redactionLevel = logRedactor.isLevel(level) ? level : logRedactor.defaultLevel;
+  }
+
+  async loadRedactionSalt() {
+    try {
+      const result = await chrome.storage.local.get([this.redactionSaltKey]);
+      let salt = result[this.redactionSaltKey];
+      if (typeof salt !== 'string' || !salt) {
+        salt = this.bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+        await chrome.storage.local.set({ [this.redactionSaltKey]: salt });
+      }
+      logRedactor.setSalt(salt);
+    } catch (error) {
+      console.error('[SECURITY AUDIT] Failed to load the redaction salt:', error);
+    }
+  }
+
+  bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  async loadPersistedLogs() {
+    try {
+      const stored = await this.storage.readEncrypted(this.storageKey);
+      const { anchor, entries } = this.readPersisted(stored);
+      const lastSealed = entries.filter(entry => entry.hash).pop();
+
+      this.anchor = anchor;
+      this.head = lastSealed
+        ? { seq: lastSealed.seq, hash: lastSealed.hash }
+        : (anchor ? { seq: anchor.seq, hash: anchor.hash } : this.head);
+      this.logs = [...entries, ...this.logs];
+      this.enforceLimits();
+      this.persistedLoaded = true;
+
+      // Unchained entries from before this version, and any logged meanwhile, join the chain now
+      this.chainTail = this.chainTail
+        .then(() => this.sealPending())
+        .catch(error => console.error('[SECURITY AUDIT] Failed to seal audit entries:', error));
+    } catch (error) {
+      if (error.code === 'DECRYPTION_FAILED') {
+        // The storage layer has set the unreadable trail aside; start a new one rather than fail forever
+        this.persistedLoaded = true;
+        this.log('audit_log_unreadable', { error: error.message, preservedAs: secureStorage.unreadableKey });
+      } else {
+        // Locked storage keeps entries in memory until the trail can be merged
+        console.error('[SECURITY AUDIT] Failed to load persisted audit log:', error);
+      }
+    }
+  }
+
+  scheduleFlush() {
+    this.pendingWrites++;
+
+    if (this.pendingWrites >= this.flushBatchSize) {
+      this.flush();
+      return;
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+    }
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.pendingWrites = 0;
+
+    // Never overwrite the stored trail before it has been merged into memory
+    await this.ready;
+    if (!this.persistedLoaded) {
+      await this.loadPersistedLogs();
+      if (!this.persistedLoaded) return;
+    }
+
+    try {
+      await this.chainTail;
+      this.enforceLimits();
+
+      // Entries still waiting for their hash are written by the next flush
+      await this.storage.writeEncrypted(this.storageKey, {
+        version: 2,
+        anchor: this.anchor,
+        entries: this.logs.filter(entry => entry.hash)
+      });
+    } catch (error) {
+      // Logging the failure through log() would schedule another failing write
+      console.error('[SECURITY AUDIT] Failed to persist audit log:', error);
+    }
+  }
+
+  enforceLimits() {
+    if (this.logs.length > this.maxLogs) {
+      this.dropOldest(this.logs.length - this.maxLogs, 'max_entries');
+    }
+
+    let totalBytes = this.logs.reduce((sum, entry) => sum + this.estimateSize(entry), 0);
+
+    // Drop the oldest entries until the serialized trail fits the storage budget
+    let dropCount = 0;
+    while (totalBytes > this.maxStorageBytes && dropCount < this.logs.length) {
+      totalBytes -= this.estimateSize(this.logs[dropCount]);
+      dropCount++;
+    }
+
+    if (dropCount > 0) {
+      this.dropOldest(dropCount, 'max_storage_bytes');
+    }
+  }
+
+  estimateSize(entry) {
+    try {
+      return JSON.stringify(entry).length;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  async getAuditLog() {
+    await this.ready;
+    await this.chainTail;
+    return this.logs;
+  }
+
+  async clearLogs() {
+    await this.ready;
+    await this.chainTail;
+
+    // The cleared history is summarised by its chain head, and the new trail continues from it
+    const clearedEntries = this.logs.length;
+    this.dropOldest(this.logs.length, 'cleared');
+    this.notifyViewers('AUDIT_LOG_SNAPSHOT', { logs: this.logs });
+    this.log('audit_log_cleared', {
+      clearedEntries,
+      chainHead: this.head.hash,
+      chainSeq: this.head.seq
+    });
+    await this.flush();
+  }
+}
+
+const securityLogger = new SecurityLogger(secureStorage);
+
+// User-controlled security settings shared with the popup and content scripts
+class SecuritySettings {
+  constructor(storage) {
+    this.storage = storage;
+    this.storageKey = 'securitySettings';
+    this.defaults = {
+      auditingEnabled: true,
+      strictMode: true,
+      consentRequired: true,
+      redactionLevel: logRedactor.defaultLevel
+    };
+    this.choices = {
+      redactionLevel: logRedactor.levels
+    };
+    this.current = { ...this.defaults };
+
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const stored = await this.storage.readEncrypted(this.storageKey);
+      this.current = this.sanitize(stored);
+    } catch (error) {
+      // Unreadable settings fall back to the secure defaults
+      console.error('[SECURITY AUDIT] Failed to load security settings:', error);
+    }
+    this.apply();
+  }
+
+  get(name) {
+    return this.current[name];
+  }
+
+  getAll() {
+    return { ...this.current };
+  }
+
+  sanitize(candidate) {
+    const settings = { ...this.defaults };
+    if (candidate && typeof candidate === 'object') {
+      Object.keys(this.defaults).forEach(name => {
+        if (this.isValid(name, candidate[name])) {
+          settings[name] = candidate[name];
+        }
+      });
+    }
+    return settings;
+  }
+
+  async initialize() {
+    await this.ready;
+    await this.storage.store(this.storageKey, this.current, false); // No consent required for security settings
+  }
+
+  async update(changes) {
+    await this.ready;
+
+    const unknown = Object.keys(changes || {}).filter(name => !(name in this.defaults));
+    const invalid = Object.entries(changes || {}).filter(([name, value]) => !this.isValid(name, value));
+    if (unknown.length > 0 || invalid.length > 0) {
+      const error = new Error('Settings must be known flags or one of their listed choices');
+      error.code = 'INVALID_SETTINGS';
+      throw error;
+    }
+
+    const previous = this.current;
+    this.current = this.sanitize({ ...previous, ...changes });
+
+    // Record the change while auditing is still on, or once it is back on
+    const entry = { changes, previous };
+    if (!this.current.auditingEnabled) {
+      securityLogger.log('security_settings_updated', entry);
+    }
+    this.apply();
+    if (this.current.auditingEnabled) {
+      securityLogger.log('security_settings_updated', entry);
+    }
+
+    await this.storage.store(this.storageKey, this.current, false); // The user made this change themselves
+    await this.broadcast();
+
+    return this.getAll();
+  }
+
+  isValid(name, value) {
+    return this.choices[name]
+      ? this.choices[name].includes(value)
+      : typeof value === 'boolean';
+  }
+
+  apply() {
+    securityLogger.setEnabled(this.current.auditingEnabled);
+    securityLogger.setRedactionLevel(this.current.redactionLevel);
+  }
+
+  async broadcast() {
+    const tabs = await chrome.tabs.query({});
+    await Promise.all(tabs.map(tab =>
+      chrome.tabs.sendMessage(tab.id, messageProtocol.createRequest('content', 'SETTINGS_UPDATED', {
+        settings: this.getAll()
+      })).catch(() => {
+        // Tabs without our content script have nobody listening
+      })
+    ));
+  }
+}
+
+const securitySettings = new SecuritySettings(secureStorage);
+
+// User consent prompts for data storage
+class ConsentManager {
+  constructor() {
+    this.decisionsKey = 'consentDecisions';
+    this.pageUrl = 'consent-secure.html';
+    this.portName = 'consent';
+    this.timeoutMs = 60000;
+    this.pendingRequests = new Map();
+    this.requestsByKey = new Map();
+    this.nextRequestId = 1;
+  }
+
+  async isConsentRequired() {
+    await securitySettings.ready;
+    return securitySettings.get('consentRequired');
+  }
+
+  async getRememberedDecision(key) {
+    const result = await chrome.storage.local.get([this.decisionsKey]);
+    return result[this.decisionsKey]?.[key] || null;
+  }
+
+  async rememberDecision(key, decision) {
+    const result = await chrome.storage.local.get([this.decisionsKey]);
+    const decisions = result[this.decisionsKey] || {};
+    decisions[key] = { decision, decidedAt: new Date().toISOString() };
+    await chrome.storage.local.set({ [this.decisionsKey]: decisions });
+  }
+
+  async requestConsent(key, purpose, description, options = {}) {
+    if (!await this.isConsentRequired()) {
+      securityLogger.log('consent_skipped', { key, reason: 'consent_not_required' });
+      return true;
+    }
+
+    const remembered = await this.getRememberedDecision(key);
+    if (remembered) {
+      securityLogger.log('consent_remembered', { key, decision: remembered.decision });
+      return remembered.decision === 'allow';
+    }
+
+    // Concurrent writes to the same key share a single prompt
+    if (this.requestsByKey.has(key)) {
+      return this.requestsByKey.get(key);
+    }
+
+    const promise = this.promptUser(key, purpose, description, options.alwaysRemember === true);
+    this.requestsByKey.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.requestsByKey.delete(key);
+    }
+  }
+
+  promptUser(key, purpose, description, alwaysRemember = false) {
+    const requestId = String(this.nextRequestId++);
+
+    securityLogger.log('consent_requested', { key, requestId });
+
+    return new Promise((resolve) => {
+      const request = {
+        key,
+        purpose,
+        description,
+        expiresAt: Date.now() + this.timeoutMs,
+        alwaysRemember,
+        windowId: null,
+        resolve
+      };
+
+      request.timer = setTimeout(() => {
+        this.settle(requestId, 'deny', false, 'timeout');
+      }, this.timeoutMs);
+
+      this.pendingRequests.set(requestId, request);
+
+      chrome.windows.create({
+        url: chrome.runtime.getURL(`${this.pageUrl}?request=${requestId}`),
+        type: 'popup',
+        width: 420,
+        height: 460
+      }).then((window) => {
+        request.windowId = window.id;
+      }).catch((error) => {
+        securityLogger.log('consent_prompt_error', { key, error: error.message });
+        this.settle(requestId, 'deny', false, 'prompt_unavailable');
+      });
+    });
+  }
+
+  async settle(requestId, decision, remember, reason) {
+    const request = this.pendingRequests.get(requestId);
+    if (!request) return;
+
+    this.pendingRequests.delete(requestId);
+    clearTimeout(request.timer);
+
+    // Only the user's own answer is remembered; a timeout or a closed window asks again next time
+    const remembered = remember || (request.alwaysRemember && reason === 'user_decision');
+    if (remembered) {
+      await this.rememberDecision(request.key, decision);
+    }
+
+    securityLogger.log(decision === 'allow' ? 'consent_granted' : 'consent_denied', {
+      key: request.key,
+      remembered,
+      reason
+    });
+
+    request.resolve(decision === 'allow');
+
+    if (request.windowId !== null) {
+      chrome.windows.remove(request.windowId).catch(() => {});
+    }
+  }
+
+  handleWindowRemoved(windowId) {
+    for (const [requestId, request] of this.pendingRequests) {
+      if (request.windowId === windowId) {
+        this.settle(requestId, 'deny', false, 'prompt_closed');
+      }
+    }
+  }
+
+  handleConnect(port) {
+    const expectedUrl = chrome.runtime.getURL(this.pageUrl);
+    if (port.name !== this.portName) return;
+
+    // Only our own consent page may answer consent prompts
+    if (port.sender?.id !== chrome.runtime.id || !port.sender?.url?.startsWith(expectedUrl)) {
+      securityLogger.log('consent_port_rejected', { url: port.sender?.url });
+      port.disconnect();
+      return;
+    }
+
+    let requestId = null;
+
+    port.onMessage.addListener((message) => {
+      const problem = messageProtocol.validatePortMessage(this.portName, 'toBackground', message);
+      if (problem) {
+        securityLogger.log('consent_port_message_rejected', { type: message?.type, problem });
+        return;
+      }
+
+      if (message.type === 'GET_CONSENT_REQUEST') {
+        requestId = message.requestId;
+        const request = this.pendingRequests.get(requestId);
+
+        port.postMessage(request
+          ? messageProtocol.createPortMessage(this.portName, 'toPage', 'CONSENT_REQUEST', {
+            key: request.key,
+            purpose: request.purpose,
+            description: request.description,
+            expiresAt: request.expiresAt,
+            alwaysRemember: request.alwaysRemember
+          })
+          : messageProtocol.createPortMessage(this.portName, 'toPage', 'CONSENT_REQUEST_EXPIRED'));
+      } else if (message.type === 'CONSENT_DECISION' && requestId !== null) {
+        const decision = message.decision === 'allow' ? 'allow' : 'deny';
+        this.settle(requestId, decision, message.remember === true, 'user_decision');
+      }
+    });
+
+    // Closing the prompt without answering counts as a refusal
+    port.onDisconnect.addListener(() => {
+      if (requestId !== null) {
+        this.settle(requestId, 'deny', false, 'prompt_closed');
+      }
+    });
+  }
+}
+
+const consentManager = new ConsentManager();
+
+// Token-bucket rate limiting per sender and message type
+class RateLimiter {
+  constructor() {
+    // capacity: burst size; refillPerMinute: sustained rate
+    this.defaultBudget = { capacity: 30, refillPerMinute: 60 };
+    this.budgets = {
+      LOG_ACTIVITY: { capacity: 200, refillPerMinute: 600 },
+      LOG_ACTIVITY_BATCH: { capacity: 20, refillPerMinute: 60 },
+      GET_SETTINGS: { capacity: 10, refillPerMinute: 30 },
+      GET_HEADER_AUDIT: { capacity: 10, refillPerMinute: 30 },
+      GET_COOKIE_AUDIT: { capacity: 10, refillPerMinute: 30 },
+      HEALTH_CHECK: { capacity: 10, refillPerMinute: 30 },
+      CLEAR_AUDIT_LOG: { capacity: 2, refillPerMinute: 2 },
+      VERIFY_AUDIT_LOG: { capacity: 3, refillPerMinute: 6 },
+      SCAN_TAB: { capacity: 5, refillPerMinute: 10 },
+      // Also slows down passphrase guessing
+      SET_STORAGE_PASSPHRASE: { capacity: 5, refillPerMinute: 5 },
+      UNLOCK_STORAGE: { capacity: 5, refillPerMinute: 5 },
+      ROTATE_ENCRYPTION_KEY: { capacity: 2, refillPerMinute: 2 }
+    };
+    this.aggregationWindowMs = 60000;
+
+    this.buckets = new Map(); // sender key -> Map(message type -> { tokens, updatedAt })
+    this.episodes = new Map(); // "sender key|type" -> { type, details, suppressed, startedAt }
+    this.throttled = { total: 0, byType: {} };
+  }
+
+  consume(senderKey, type, now = Date.now()) {
+    const budget = this.budgets[type] || this.defaultBudget;
+
+    if (!this.buckets.has(senderKey)) {
+      this.buckets.set(senderKey, new Map());
+    }
+    const buckets = this.buckets.get(senderKey);
+    const bucket = buckets.get(type) || { tokens: budget.capacity, updatedAt: now };
+
+    // Refill for the time elapsed, never beyond the burst size
+    const refill = ((now - bucket.updatedAt) / 60000) * budget.refillPerMinute;
+    bucket.tokens = Math.min(budget.capacity, bucket.tokens + refill);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    buckets.set(type, bucket);
+    return allowed;
+  }
+
+  noteThrottled(senderKey, type, details, now = Date.now()) {
+    this.throttled.total++;
+    this.throttled.byType[type] = (this.throttled.byType[type] || 0) + 1;
+
+    // Only the first rejection of an episode is reported right away
+    const id = `${senderKey}|${type}`;
+    const episode = this.episodes.get(id);
+    if (episode) {
+      episode.suppressed++;
+      return false;
+    }
+    this.episodes.set(id, { type, details, suppressed: 0, startedAt: now });
+    return true;
+  }
+
+  // Episodes end on the sender's next request after the window, or when the summary timer
+  // finds the window over; the timer does not survive suspension, so onSuspend takes the rest
+  takeEndedEpisode(senderKey, type, now = Date.now()) {
+    const id = `${senderKey}|${type}`;
+    const episode = this.episodes.get(id);
+    if (!episode || now - episode.startedAt < this.aggregationWindowMs) {
+      return null;
+    }
+    this.episodes.delete(id);
+    return episode;
+  }
+
+  takeEndedEpisodes(now = Date.now(), all = false) {
+    const ended = [];
+    this.episodes.forEach((episode, id) => {
+      if (all || now - episode.startedAt >= this.aggregationWindowMs) {
+        ended.push(episode);
+        this.episodes.delete(id);
+      }
+    });
+    return ended;
+  }
+
+  removeSender(senderKey) {
+    this.buckets.delete(senderKey);
+
+    // A sender that goes away ends its episodes early
+    const ended = [];
+    this.episodes.forEach((episode, id) => {
+      if (id.startsWith(`${senderKey}|`)) {
+        ended.push(episode);
+        this.episodes.delete(id);
+      }
+    });
+    return ended;
+  }
+
+  getStats() {
+    return {
+      throttled: this.throttled.total,
+      throttledByType: { ...this.throttled.byType },
+      trackedSenders: this.buckets.size
+    };
+  }
+}
+
+// Secure message handler
+class SecureMessageHandler {
+  constructor() {
+    this.rateLimiter = new RateLimiter();
+    this.summaryTimer = null;
+    this.maxActivityBytes = 4096;
+    this.maxActivityBatchSize = 50;
+    this.maxClockSkewMs = 5 * 60 * 1000;
+
+    // Protocol error codes for each rejection reason; sender problems are all NOT_PERMITTED
+    this.rejectionCodes = {
+      malformed_message: messageProtocol.errorCodes.INVALID_REQUEST,
+      unsupported_protocol_version: messageProtocol.errorCodes.UNSUPPORTED_VERSION,
+      unknown_message_type: messageProtocol.errorCodes.UNKNOWN_TYPE,
+      invalid_payload: messageProtocol.errorCodes.INVALID_REQUEST
+    };
+  }
+
+  async handleMessage(message, sender) {
+    await monitoredDomains.ready;
+    await securitySettings.ready;
+
+    const senderInfo = this.describeSender(sender);
+    const rejection = this.authorize(message, senderInfo);
+
+    if (rejection) {
+      securityLogger.log('message_blocked', {
+        type: typeof message?.type === 'string' ? message.type.substring(0, 64) : null,
+        sender: senderInfo.kind,
+        origin: senderInfo.origin,
+        tabId: senderInfo.tabId,
+        frameId: senderInfo.frameId,
+        reason: rejection.reason
+      });
+      return messageProtocol.failure(message, rejection.code, rejection.message);
+    }
+
+    if (!this.checkRateLimit(message.type, senderInfo)) {
+      return messageProtocol.failure(message, messageProtocol.errorCodes.RATE_LIMITED, 'Rate limit exceeded');
+    }
+
+    // Ingested activity is logged as its own entry; a receipt entry would double the volume
+    if (message.type !== 'LOG_ACTIVITY' && message.type !== 'LOG_ACTIVITY_BATCH') {
+      securityLogger.log('message_received', {
+        type: message.type,
+        sender: senderInfo.kind,
+        origin: senderInfo.origin,
+        tabId: senderInfo.tabId
+      });
+    }
+
+    try {
+      return messageProtocol.success(message, await this.dispatch(message, sender));
+    } catch (error) {
+      securityLogger.log('message_handler_error', { 
+        type: message.type, 
+        error: error.message 
+      });
+
+      // Storage and validation errors carry a code and a message written for the user
+      return error.code
+        ? messageProtocol.failure(message, error.code, error.message)
+        : messageProtocol.failure(message, messageProtocol.errorCodes.INTERNAL_ERROR, 'Internal error');
+    }
+  }
+
+  async dispatch(message, sender) {
+    const payload = message.payload;
+
+    // Every type defined for the background in message-protocol.js has a case here
+    switch (message.type) {
+      case 'GET_AUDIT_LOG':
+        return await this.handleAuditLogRequest();
+
+      case 'CLEAR_AUDIT_LOG':
+        return await this.handleClearAuditLog();
+
+      case 'VERIFY_AUDIT_LOG':
+        return { integrity: await securityLogger.verifyIntegrity() };
+
+      case 'HEALTH_CHECK':
+        return { status: 'healthy', timestamp: Date.now(), rateLimiting: this.rateLimiter.getStats() };
+
+      case 'LOG_ACTIVITY':
+        return this.handleLogActivity(payload, sender);
+
+      case 'LOG_ACTIVITY_BATCH':
+        return this.handleLogActivityBatch(payload.events, sender);
+
+      case 'GET_HEADER_AUDIT':
+        return await this.handleHeaderAuditRequest(payload, sender);
+
+      case 'GET_COOKIE_AUDIT':
+        return await this.handleCookieAuditRequest(sender);
+
+      case 'SCAN_TAB':
+        return { scan: await tabScanner.scan(payload.tabId, 'popup') };
+
+      case 'GET_TAB_SCAN':
+        return { scan: await tabScanner.get(payload.tabId) };
+
+      case 'ACCEPT_BASELINE_CHANGE':
+        return { baseline: await siteBaselines.accept(payload.origin) };
+
+      case 'GET_SETTINGS':
+        return { settings: securitySettings.getAll() };
+
+      case 'UPDATE_SETTINGS':
+        return { settings: await securitySettings.update(payload.settings) };
+
+      case 'GET_ENCRYPTION_STATUS':
+        return { encryption: await secureStorage.getEncryptionStatus() };
+
+      case 'SET_STORAGE_PASSPHRASE':
+        await secureStorage.setPassphrase(payload.passphrase);
+        return {};
+
+      case 'UNLOCK_STORAGE':
+        await secureStorage.unlock(payload.passphrase);
+        return {};
+
+      case 'ROTATE_ENCRYPTION_KEY':
+        await secureStorage.rotateKey();
+        return {};
+
+      default:
+        throw messageProtocol.createError(messageProtocol.errorCodes.UNKNOWN_TYPE, 'Unknown message type');
+    }
+  }
+
+  describeSender(sender) {
+    const info = {
+      kind: 'untrusted',
+      origin: typeof sender.origin === 'string' ? sender.origin : null,
+      tabId: sender.tab?.id,
+      frameId: sender.frameId
+    };
+
+    if (sender.id !== chrome.runtime.id) {
+      info.kind = 'foreign';
+    } else if (this.isExtensionPage(sender)) {
+      // The options page runs in a tab, so a tab alone does not make a content script
+      info.kind = 'extension_page';
+    } else if (sender.tab && this.isOriginAllowed(info.origin)) {
+      info.kind = 'content_script';
+    }
+    return info;
+  }
+
+  authorize(message, senderInfo) {
+    const reject = (reason, message = 'Not permitted') => ({
+      reason,
+      code: this.rejectionCodes[reason] || messageProtocol.errorCodes.NOT_PERMITTED,
+      message
+    });
+
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string' ||
+        typeof message.requestId !== 'string') {
+      return reject('malformed_message', 'Malformed message');
+    }
+    if (senderInfo.kind === 'foreign') {
+      return reject('foreign_sender');
+    }
+    if (senderInfo.kind === 'untrusted') {
+      return reject('unmonitored_origin');
+    }
+
+    const invalid = messageProtocol.validateRequest('background', message);
+    if (invalid) {
+      const reasons = {
+        [messageProtocol.errorCodes.UNSUPPORTED_VERSION]: 'unsupported_protocol_version',
+        [messageProtocol.errorCodes.UNKNOWN_TYPE]: 'unknown_message_type'
+      };
+      return reject(reasons[invalid.code] || 'invalid_payload', invalid.message);
+    }
+
+    // Which sender kinds may use each type is part of its protocol definition
+    if (!messageProtocol.getDefinition('background', message.type).senders.includes(senderInfo.kind)) {
+      return reject(`not_permitted_for_${senderInfo.kind}`);
+    }
+    return null;
+  }
+
+  isExtensionPage(sender) {
+    if (sender.id !== chrome.runtime.id || typeof sender.url !== 'string') return false;
+
+    // chrome-extension://<id> exactly; the trailing slash stops prefix tricks
+    const extensionOrigin = chrome.runtime.getURL('').replace(/\/$/, '');
+    return sender.url.startsWith(`${extensionOrigin}/`) &&
+      (sender.origin === undefined || sender.origin === extensionOrigin);
+  }
+
+  isOriginAllowed(origin) {
+    if (typeof origin !== 'string') return false;
+
+    try {
+      const parsed = new URL(origin);
+      // Only a canonical HTTPS origin on the default port; no paths, credentials or lookalike suffixes
+      return parsed.origin === origin &&
+        parsed.protocol === 'https:' &&
+        parsed.port === '' &&
+        monitoredDomains.isMonitored(parsed.hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  rateLimitKey(senderInfo) {
+    // Content scripts are limited per tab; extension pages share one budget per page context
+    return senderInfo.tabId !== undefined
+      ? `${senderInfo.kind}:${senderInfo.tabId}`
+      : senderInfo.kind;
+  }
+
+  checkRateLimit(type, senderInfo) {
+    const key = this.rateLimitKey(senderInfo);
+    const now = Date.now();
+
+    // Further rejections in a window are summarised in one entry once it has passed
+    const ended = this.rateLimiter.takeEndedEpisode(key, type, now);
+    if (ended) {
+      this.logThrottleSummary(ended, now);
+    }
+
+    if (this.rateLimiter.consume(key, type, now)) {
+      return true;
+    }
+
+    const details = {
+      type,
+      sender: senderInfo.kind,
+      origin: senderInfo.origin,
+      tabId: senderInfo.tabId
+    };
+    if (this.rateLimiter.noteThrottled(key, type, details, now)) {
+      securityLogger.log('rate_limit_exceeded', details);
+      this.scheduleThrottleSummaries();
+    }
+    return false;
+  }
+
+  scheduleThrottleSummaries() {
+    // A sender that stops after being throttled never sends the request that would end its episode
+    if (this.summaryTimer) return;
+
+    this.summaryTimer = setTimeout(() => {
+      this.summaryTimer = null;
+      this.flushThrottleSummaries();
+      if (this.rateLimiter.episodes.size > 0) {
+        this.scheduleThrottleSummaries();
+      }
+    }, this.rateLimiter.aggregationWindowMs);
+  }
+
+  flushThrottleSummaries(all = false) {
+    const now = Date.now();
+    this.rateLimiter.takeEndedEpisodes(now, all).forEach(episode => this.logThrottleSummary(episode, now));
+  }
+
+  logThrottleSummary(episode, now = Date.now()) {
+    if (episode.suppressed === 0) return;
+
+    securityLogger.log('rate_limit_exceeded', {
+      ...episode.details,
+      suppressed: episode.suppressed,
+      windowMs: now - episode.startedAt,
+      aggregated: true
+    });
+  }
+
+  handleTabRemoved(tabId) {
+    ['content_script', 'extension_page'].forEach(kind => {
+      this.rateLimiter.removeSender(this.rateLimitKey({ kind, tabId }))
+        .forEach(episode => this.logThrottleSummary(episode));
+    });
+  }
+
+  async handleAuditLogRequest() {
+    const logs = await securityLogger.getAuditLog();
+    return { logs, chain: securityLogger.getChainState() };
   }
 
-  log(action, details = {}) {
-    const logEntry = {
-      timestamp: new Date().toISOString(),
-      action,
-      details,
-      url: details.url || 'unknown'
-    };
-    
-    this.logs.push(logEntry);
-    
-    // Keep only recent logs to prevent memory issues
-    if (this.logs.length > this.maxLogs) {
-      this.logs = this.logs.slice(-this.maxLogs);
+  async handleClearAuditLog() {
+    await securityLogger.clearLogs();
+    return {};
+  }
+
+  async handleHeaderAuditRequest(payload, sender) {
+    // Content scripts only ever see the audit for their own tab and document
+    const audit = this.isExtensionPage(sender)
+      ? await headerAuditStore.get(payload.tabId)
+      : await headerAuditStore.get(sender.tab?.id, sender.url);
+
+    return { audit };
+  }
+
+  async handleCookieAuditRequest(sender) {
+    // Optional permission; without it the scan simply has no cookie section
+    if (!await chrome.permissions.contains({ permissions: ['cookies'] })) {
+      return { audit: null };
     }
-    
-    console.log('[SECURITY AUDIT]', logEntry);
+
+    // The cookies this document would send, read fresh so the audit matches the page
+    const cookies = await chrome.cookies.getAll({ url: sender.url });
+    const audit = cookieAuditor.audit(cookies, sender.url);
+
+    securityLogger.log('cookies_audited', {
+      tabId: sender.tab?.id,
+      url: audit.url,
+      cookieCount: audit.cookieCount,
+      findingIds: audit.findings.map(finding => finding.id)
+    });
+    return { audit };
   }
 
-  async getAuditLog() {
-    return this.logs;
+  handleLogActivity(data, sender) {
+    const validationError = this.recordActivity(data, sender);
+    if (validationError) {
+      securityLogger.log('activity_rejected', {
+        reason: validationError,
+        origin: sender.origin,
+        tabId: sender.tab?.id
+      });
+      throw messageProtocol.createError(messageProtocol.errorCodes.INVALID_REQUEST, 'Invalid activity payload');
+    }
+
+    return {};
   }
 
-  async clearLogs() {
-    this.logs = [];
-    this.log('audit_log_cleared');
+  handleLogActivityBatch(events, sender) {
+    if (events.length > this.maxActivityBatchSize) {
+      securityLogger.log('activity_rejected', {
+        reason: 'batch_too_large',
+        eventCount: events.length,
+        origin: sender.origin,
+        tabId: sender.tab?.id
+      });
+      throw messageProtocol.createError(messageProtocol.errorCodes.INVALID_REQUEST,
+        `At most ${this.maxActivityBatchSize} events per batch`);
+    }
+
+    // Valid events are kept even when others in the batch are not; rejections are summarised once
+    const reasons = {};
+    events.forEach(data => {
+      const validationError = this.recordActivity(data, sender);
+      if (validationError) {
+        reasons[validationError] = (reasons[validationError] || 0) + 1;
+      }
+    });
+
+    const rejected = Object.values(reasons).reduce((sum, count) => sum + count, 0);
+    if (rejected > 0) {
+      securityLogger.log('activity_rejected', {
+        reason: Object.keys(reasons)[0],
+        reasons,
+        rejectedCount: rejected,
+        eventCount: events.length,
+        origin: sender.origin,
+        tabId: sender.tab?.id
+      });
+    }
+
+    return { accepted: events.length - rejected, rejected };
   }
-}
 
-const securityLogger = new SecurityLogger();
+  recordActivity(data, sender) {
+    const validationError = this.validateActivityPayload(data);
+    if (validationError) return validationError;
 
-// Privacy-focused storage manager
-class SecureStorage {
-  constructor() {
-    this.encryptionKey = null;
+    // Provenance comes from the browser-supplied sender, never from the payload
+    securityLogger.log(data.action, {
+      ...data.details,
+      source: 'content_script',
+      reportedAt: data.timestamp,
+      tabId: sender.tab?.id,
+      frameId: sender.frameId,
+      origin: sender.origin
+    });
+    return null;
   }
 
-  async store(key, value, requiresConsent = true) {
-    if (requiresConsent && !await this.getUserConsent(`Store data: ${key}`)) {
-      securityLogger.log('storage_denied', { key, reason: 'user_refused_consent' });
-      throw new Error('User denied storage consent');
+  validateActivityPayload(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return 'payload_not_object';
+    }
+
+    if (typeof data.action !== 'string' || !/^[a-z][a-z0-9_]{0,63}$/.test(data.action)) {
+      return 'invalid_action';
+    }
+
+    if (typeof data.timestamp !== 'string' || Number.isNaN(Date.parse(data.timestamp))) {
+      return 'invalid_timestamp';
+    }
+
+    // Strict mode also rejects replayed or back-dated events and allows smaller payloads
+    const strict = securitySettings.get('strictMode');
+    if (strict && Math.abs(Date.now() - Date.parse(data.timestamp)) > this.maxClockSkewMs) {
+      return 'timestamp_out_of_range';
+    }
+
+    if (data.details !== undefined &&
+        (data.details === null || typeof data.details !== 'object' || Array.isArray(data.details))) {
+      return 'invalid_details';
     }
 
+    let serialized;
     try {
-      await chrome.storage.local.set({ [key]: value });
-      securityLogger.log('data_stored', { key, hasValue: !!value });
+      serialized = JSON.stringify(data);
     } catch (error) {
-      securityLogger.log('storage_error', { key, error: error.message });
-      throw error;
+      return 'payload_not_serializable';
+    }
+
+    if (serialized.length > (strict ? this.maxActivityBytes : this.maxActivityBytes * 4)) {
+      return 'payload_too_large';
     }
+
+    return null;
   }
+}
 
-  async retrieve(key) {
+const messageHandler = new SecureMessageHandler();
+
+// Per-tab cache of graded response headers for monitored pages
+class HeaderAuditStore {
+  constructor(auditor) {
+    this.auditor = auditor;
+    this.storageKey = 'headerAudits';
+    this.audits = new Map();
+
+    // Session storage keeps audits across service worker restarts
+    this.ready = this.load();
+  }
+
+  async load() {
     try {
-      const result = await chrome.storage.local.get([key]);
-      securityLogger.log('data_retrieved', { key, hasValue: !!result[key] });
-      return result[key];
+      const result = await chrome.storage.session.get([this.storageKey]);
+      Object.entries(result[this.storageKey] || {}).forEach(([tabId, audit]) => {
+        this.audits.set(Number(tabId), audit);
+      });
     } catch (error) {
-      securityLogger.log('retrieval_error', { key, error: error.message });
-      throw error;
+      console.error('[SECURITY AUDIT] Failed to load header audits:', error);
+    }
+  }
+
+  async record(details) {
+    await monitoredDomains.ready;
+    await this.ready;
+
+    if (details.tabId < 0 || !monitoredDomains.isMonitoredUrl(details.url)) return;
+
+    const audit = this.auditor.audit(details.responseHeaders, details.url);
+    this.audits.set(details.tabId, audit);
+    await this.persist();
+
+    securityLogger.log('security_headers_audited', {
+      tabId: details.tabId,
+      url: new URL(details.url).origin,
+      findingIds: audit.findings.map(finding => finding.id)
+    });
+  }
+
+  async get(tabId, url) {
+    await this.ready;
+    const audit = this.audits.get(tabId);
+
+    // A cached audit only describes the document it was captured for
+    if (!audit || (url && this.stripFragment(audit.url) !== this.stripFragment(url))) {
+      return null;
     }
+    return audit;
   }
 
-  async getUserConsent(action) {
-    // In a real implementation, this would show a user consent dialog
-    // For now, we log the consent request
-    securityLogger.log('consent_requested', { action });
-    return true; // Default to consent for demonstration
+  async remove(tabId) {
+    await this.ready;
+    if (this.audits.delete(tabId)) {
+      await this.persist();
+    }
+  }
+
+  stripFragment(url) {
+    return url.split('#')[0];
+  }
+
+  async persist() {
+    await chrome.storage.session.set({
+      [this.storageKey]: Object.fromEntries(this.audits)
+    });
   }
 }
 
-const secureStorage = new SecureStorage();
+const headerAuditStore = new HeaderAuditStore(new SecurityHeaderAuditor());
+const cookieAuditor = new CookieAuditor();
 
-// Secure message handler
-class SecureMessageHandler {
-  constructor() {
-    this.allowedOrigins = ['https://example.com'];
-    this.rateLimiter = new Map();
+// What each monitored site looked like when first scanned, to flag risky changes on later visits
+class SiteBaselineStore {
+  constructor(storage) {
+    this.storage = storage;
+    this.storageKey = 'siteBaselines';
+    this.baselines = null; // origin -> { createdAt, updatedAt, profile, pending }
+    this.gradeRank = { pass: 3, warn: 2, fail: 1, missing: 0 };
+    this.queue = Promise.resolve();
+    this.writing = Promise.resolve();
   }
 
-  async handleMessage(message, sender, sendResponse) {
-    // Validate message origin
-    if (!this.isOriginAllowed(sender.origin)) {
-      securityLogger.log('message_blocked', { 
-        origin: sender.origin, 
-        reason: 'unauthorized_origin' 
-      });
-      return;
+  // Baselines live in encrypted storage, which may be locked; loading is retried on the next scan
+  async load() {
+    if (this.baselines === null) {
+      try {
+        this.baselines = (await this.storage.retrieve(this.storageKey)) || {};
+      } catch (error) {
+        if (error.code !== 'DECRYPTION_FAILED') throw error;
+
+        // The storage layer has set the unreadable baselines aside; start again rather than fail every scan
+        this.baselines = {};
+        securityLogger.log('site_baselines_unreadable', { error: error.message });
+      }
+    }
+    return this.baselines;
+  }
+
+  check(url, profile) {
+    return this.enqueue(() => this.compare(new URL(url).origin, profile));
+  }
+
+  accept(origin) {
+    return this.enqueue(() => this.acceptPending(origin));
+  }
+
+  enqueue(task) {
+    // Serialized so concurrent scans and accepts cannot overwrite each other's updates
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async compare(origin, profile) {
+    const baselines = await this.load();
+    const baseline = baselines[origin];
+    const now = new Date().toISOString();
+
+    if (!baseline) {
+      this.save({ ...baselines, [origin]: { createdAt: now, updatedAt: now, profile, pending: null } });
+      securityLogger.log('site_baseline_created', { origin });
+      return this.getStatus(origin);
+    }
+
+    const changes = this.diff(baseline.profile, profile, baseline.updatedAt);
+    const next = { ...baseline };
+
+    // Header grades are only known for loads the extension observed; fill them in once seen
+    if (!baseline.profile.headerGrades && profile.headerGrades) {
+      next.profile = { ...baseline.profile, headerGrades: profile.headerGrades };
+    }
+
+    if (changes.length > 0) {
+      const known = JSON.stringify(baseline.pending?.changes || []);
+      next.pending = {
+        profile,
+        changes,
+        detectedAt: known === JSON.stringify(changes) ? baseline.pending.detectedAt : now
+      };
+      if (known !== JSON.stringify(changes)) {
+        securityLogger.log('site_baseline_changed', {
+          origin,
+          baselineSince: baseline.updatedAt,
+          changes: changes.map(({ kind, value, previous }) => ({ kind, value, previous })),
+          severity: this.highestSeverity(changes)
+        });
+      }
+    } else {
+      // The site went back to its baseline on its own
+      next.pending = null;
+    }
+
+    if (JSON.stringify(next) !== JSON.stringify(baseline)) {
+      this.save({ ...baselines, [origin]: next });
     }
+    return this.getStatus(origin);
+  }
+
+  diff(previous, current, since) {
+    const date = since.split('T')[0];
+    const added = (before, after) => after.filter(value => !before.includes(value));
+    const changes = [];
 
-    // Rate limiting
-    if (!this.checkRateLimit(sender.tab?.id)) {
-      securityLogger.log('message_blocked', { 
-        tabId: sender.tab?.id, 
-        reason: 'rate_limit_exceeded' 
+    // Only additions and downgrades raise risk; anything that disappeared is left out
+    added(previous.scriptOrigins, current.scriptOrigins).forEach(value => {
+      changes.push({
+        kind: 'script_origin_added',
+        value,
+        severity: 'medium',
+        message: `New script from ${new URL(value).host} appeared since ${date}`
       });
-      return;
+    });
+
+    added(previous.loginFormActionHosts, current.loginFormActionHosts).forEach(value => {
+      changes.push({
+        kind: 'login_form_action_changed',
+        value,
+        previous: previous.loginFormActionHosts.join(', ') || null,
+        severity: 'high',
+        message: `Login form now posts to a different host (${value})`
+      });
+    });
+
+    added(previous.formActionHosts, current.formActionHosts)
+      .filter(value => !current.loginFormActionHosts.includes(value))
+      .forEach(value => {
+        changes.push({
+          kind: 'form_action_changed',
+          value,
+          previous: previous.formActionHosts.join(', ') || null,
+          severity: 'medium',
+          message: `A form now posts to ${value}, not seen since ${date}`
+        });
+      });
+
+    added(previous.iframeOrigins, current.iframeOrigins).forEach(value => {
+      changes.push({
+        kind: 'iframe_origin_added',
+        value,
+        severity: 'low',
+        message: `New embedded frame from ${new URL(value).host} appeared since ${date}`
+      });
+    });
+
+    if (previous.headerGrades && current.headerGrades) {
+      Object.entries(current.headerGrades).forEach(([name, grade]) => {
+        const before = previous.headerGrades[name];
+        if (before !== undefined && this.gradeRank[grade] < this.gradeRank[before]) {
+          changes.push({
+            kind: 'header_grade_dropped',
+            value: `${name}: ${grade}`,
+            previous: `${name}: ${before}`,
+            severity: 'medium',
+            message: `${name} grade dropped from ${before} to ${grade} since ${date}`
+          });
+        }
+      });
+    }
+
+    return changes;
+  }
+
+  async acceptPending(origin) {
+    const baselines = await this.load();
+    const baseline = baselines[origin];
+    if (!baseline || !baseline.pending) {
+      throw messageProtocol.createError('NO_PENDING_CHANGE', 'There is no change to accept for this site');
     }
 
-    securityLogger.log('message_received', {
-      type: message.type,
-      origin: sender.origin,
-      tabId: sender.tab?.id
+    const next = {
+      ...baseline,
+      updatedAt: new Date().toISOString(),
+      profile: baseline.pending.profile,
+      pending: null
+    };
+    this.save({ ...baselines, [origin]: next });
+
+    securityLogger.log('site_baseline_accepted', {
+      origin,
+      changes: baseline.pending.changes.map(({ kind, value }) => ({ kind, value }))
     });
+    return this.getStatus(origin);
+  }
+
+  async getStatus(origin) {
+    const baseline = (await this.load())[origin];
+    if (!baseline) return null;
+
+    return {
+      origin,
+      since: baseline.updatedAt,
+      changes: baseline.pending ? baseline.pending.changes : [],
+      detectedAt: baseline.pending ? baseline.pending.detectedAt : null
+    };
+  }
+
+  highestSeverity(changes) {
+    const order = ['high', 'medium', 'low'];
+    return order.find(severity => changes.some(change => change.severity === severity)) || 'low';
+  }
+
+  save(baselines) {
+    // Memory is updated at once so scans never wait on the write, or on the consent prompt
+    // the first write opens; writes stay in order
+    this.baselines = baselines;
+    this.writing = this.writing
+      .then(() => this.storage.store(this.storageKey, this.baselines, true))
+      .catch(error => console.error('[SECURITY AUDIT] Failed to save site baselines:', error)); // store() has logged it
+    return this.writing;
+  }
+}
+
+const siteBaselines = new SiteBaselineStore(secureStorage);
+
+// Automatic scans of monitored pages, shown on the toolbar badge and cached for the popup
+class TabScanner {
+  constructor() {
+    this.storageKey = 'tabScans';
+    this.scans = new Map();
+
+    // The content script may still be starting when the tab reports load complete
+    this.retryDelaysMs = [0, 1000, 3000];
+    this.badgeColors = { good: '#28a745', fair: '#fd7e14', poor: '#dc3545' };
+
+    // Session storage keeps results across service worker restarts
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.session.get([this.storageKey]);
+      Object.entries(result[this.storageKey] || {}).forEach(([tabId, scan]) => {
+        this.scans.set(Number(tabId), scan);
+      });
+    } catch (error) {
+      console.error('[SECURITY AUDIT] Failed to load tab scans:', error);
+    }
+  }
+
+  async scanOnLoad(tabId, url) {
+    // Without host access the content script is not registered on this page
+    const { origin } = new URL(url);
+    if (!await chrome.permissions.contains({ origins: [`${origin}/*`] })) return;
 
     try {
-      switch (message.type) {
-        case 'GET_AUDIT_LOG':
-          return await this.handleAuditLogRequest();
-        
-        case 'CLEAR_AUDIT_LOG':
-          return await this.handleClearAuditLog();
-        
-        case 'HEALTH_CHECK':
-          return { status: 'healthy', timestamp: Date.now() };
-        
-        default:
-          securityLogger.log('unknown_message_type', { type: message.type });
-          return { error: 'Unknown message type' };
+      await this.scan(tabId, 'navigation');
+    } catch (error) {
+      securityLogger.log('auto_scan_failed', { tabId, url: origin, error: error.message });
+    }
+  }
+
+  async scan(tabId, trigger) {
+    await this.ready;
+
+    // A user asking from the popup gets an answer straight away
+    const delays = trigger === 'navigation' ? this.retryDelaysMs : [0];
+
+    for (const delay of delays) {
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
+      const tab = await chrome.tabs.get(tabId);
+      let results;
+      try {
+        results = await messageProtocol.send('SECURITY_SCAN', {}, { tabId });
+      } catch (error) {
+        // Coded errors come from a running content script; only a missing one is worth waiting for
+        if (error.code) throw error;
+        continue;
+      }
+
+      // Results for a document the tab has since left would mislabel the new one
+      const current = await chrome.tabs.get(tabId);
+      if (this.stripFragment(current.url || '') !== this.stripFragment(tab.url || '')) {
+        throw messageProtocol.createError('TAB_NAVIGATED', 'The tab navigated during the scan');
       }
+      return await this.record(tabId, tab.url || '', results, trigger);
+    }
+
+    throw messageProtocol.createError('CONTENT_SCRIPT_UNAVAILABLE', 'Content script not available on this page');
+  }
+
+  async record(tabId, url, results, trigger) {
+    const scan = {
+      url: this.stripFragment(url),
+      trigger,
+      scannedAt: Date.now(),
+      results
+    };
+    this.scans.set(tabId, scan);
+    await this.persist();
+    await this.updateBadge(tabId, results);
+
+    // The scan stands on its own when the baseline cannot be read or saved
+    try {
+      await siteBaselines.check(scan.url, results.profile);
     } catch (error) {
-      securityLogger.log('message_handler_error', { 
-        type: message.type, 
-        error: error.message 
-      });
-      return { error: 'Internal error' };
+      securityLogger.log('site_baseline_unavailable', { url: new URL(scan.url).origin, error: error.message, code: error.code });
     }
+    return this.withBaseline(scan);
   }
 
-  isOriginAllowed(origin) {
-    return this.allowedOrigins.some(allowed => 
-      origin && origin.startsWith(allowed)
-    );
+  async rescanAll(trigger) {
+    await this.ready;
+    await Promise.all([...this.scans.keys()].map(tabId =>
+      this.scan(tabId, trigger).catch(error => {
+        securityLogger.log('auto_scan_failed', { tabId, trigger, error: error.message, code: error.code });
+      })
+    ));
   }
 
-  checkRateLimit(tabId) {
-    if (!tabId) return false;
-    
-    const now = Date.now();
-    const windowMs = 60000; // 1 minute
-    const maxRequests = 60; // Max 60 requests per minute
-    
-    if (!this.rateLimiter.has(tabId)) {
-      this.rateLimiter.set(tabId, []);
+  async get(tabId) {
+    await this.ready;
+    const scan = this.scans.get(tabId);
+    if (!scan) return null;
+
+    // A cached scan only describes the document it ran on
+    const tab = await chrome.tabs.get(tabId);
+    return this.stripFragment(tab.url || '') === scan.url ? this.withBaseline(scan) : null;
+  }
+
+  async withBaseline(scan) {
+    // Looked up each time so a change accepted since the scan no longer shows
+    let baseline = null;
+    try {
+      baseline = await siteBaselines.getStatus(new URL(scan.url).origin);
+    } catch (error) {
+      // Locked storage; the scan is still worth showing
     }
-    
-    const requests = this.rateLimiter.get(tabId);
-    
-    // Remove old requests outside the window
-    const recentRequests = requests.filter(time => now - time < windowMs);
-    
-    if (recentRequests.length >= maxRequests) {
-      return false;
+    return { ...scan, baseline };
+  }
+
+  async remove(tabId) {
+    await this.ready;
+    if (this.scans.delete(tabId)) {
+      await this.persist();
     }
-    
-    recentRequests.push(now);
-    this.rateLimiter.set(tabId, recentRequests);
-    
-    return true;
   }
 
-  async handleAuditLogRequest() {
-    const logs = await securityLogger.getAuditLog();
-    return { logs };
+  async clear(tabId) {
+    await this.remove(tabId);
+    await chrome.action.setBadgeText({ tabId, text: '' });
+    await chrome.action.setTitle({ tabId, title: chrome.runtime.getManifest().action.default_title });
   }
 
-  async handleClearAuditLog() {
-    await securityLogger.clearLogs();
-    return { success: true };
+  async updateBadge(tabId, results) {
+    const findingCount = results.findings.length;
+    const rating = results.summary.critical > 0 || results.score < 50
+      ? 'poor'
+      : results.score < 80 ? 'fair' : 'good';
+
+    await chrome.action.setBadgeBackgroundColor({ tabId, color: this.badgeColors[rating] });
+    await chrome.action.setBadgeText({ tabId, text: String(results.score) });
+    await chrome.action.setTitle({
+      tabId,
+      title: `Security score ${results.score}/100, ${findingCount} finding${findingCount === 1 ? '' : 's'}`
+    });
+  }
+
+  stripFragment(url) {
+    return url.split('#')[0];
+  }
+
+  async persist() {
+    await chrome.storage.session.set({
+      [this.storageKey]: Object.fromEntries(this.scans)
+    });
   }
 }
 
-const messageHandler = new SecureMessageHandler();
+const tabScanner = new TabScanner();
+
+// Dynamic content script registration for user-monitored domains
+class ContentScriptRegistrar {
+  constructor() {
+    this.scripts = [
+      {
+        id: 'secure-content-script',
+        js: [
+          'monitored-domains.js',
+          'message-protocol.js',
+          'security-scanner.js',
+          'csp-evaluator.js',
+          'script-inventory.js',
+          'storage-secrets.js',
+          'redaction.js',
+          'activity-batcher.js',
+          'page-warnings.js',
+          'skimmer-detector.js',
+          'submit-guard.js',
+          'content-secure.js'
+        ],
+        runAt: 'document_idle'
+      },
+      {
+        // Page scripts can only be observed from their own world, before they run
+        id: 'secure-page-probe',
+        js: ['skimmer-probe.js'],
+        runAt: 'document_start',
+        world: 'MAIN'
+      }
+    ];
+
+    // Opt-in: runs on every HTTPS site except monitored ones, once the user grants all-sites access
+    this.allSitesPattern = 'https://*/*';
+    this.lookalikeGuard = {
+      id: 'secure-lookalike-guard',
+      js: ['monitored-domains.js', 'lookalike-detector.js', 'page-warnings.js', 'lookalike-guard.js'],
+      runAt: 'document_idle'
+    };
+    this.syncQueue = Promise.resolve();
+  }
+
+  sync() {
+    // Serialize syncs so overlapping triggers cannot race on the same script id
+    this.syncQueue = this.syncQueue
+      .then(() => this.registerGrantedDomains())
+      .catch(error => {
+        securityLogger.log('content_script_registration_error', { error: error.message });
+      });
+    return this.syncQueue;
+  }
+
+  async registerGrantedDomains() {
+    await monitoredDomains.ready;
+
+    // Only inject where the user has actually granted host access
+    const matches = [];
+    for (const domain of monitoredDomains.getDomains()) {
+      const pattern = monitoredDomains.toMatchPattern(domain);
+      if (await chrome.permissions.contains({ origins: [pattern] })) {
+        matches.push(pattern);
+      }
+    }
+
+    const wanted = matches.length > 0
+      ? this.scripts.map(script => ({ ...script, matches, persistAcrossSessions: true }))
+      : [];
+
+    const allSites = await chrome.permissions.contains({ origins: [this.allSitesPattern] });
+    if (allSites) {
+      wanted.push({
+        ...this.lookalikeGuard,
+        matches: [this.allSitesPattern],
+        excludeMatches: monitoredDomains.getDomains().map(domain => monitoredDomains.toMatchPattern(domain)),
+        persistAcrossSessions: true
+      });
+    }
+
+    const ids = [...this.scripts.map(script => script.id), this.lookalikeGuard.id];
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids });
+    const registeredIds = registered.map(script => script.id);
+    const wantedIds = wanted.map(script => script.id);
+
+    const stale = registeredIds.filter(id => !wantedIds.includes(id));
+    const existing = wanted.filter(script => registeredIds.includes(script.id));
+    const added = wanted.filter(script => !registeredIds.includes(script.id));
+
+    if (stale.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: stale });
+    }
+    if (existing.length > 0) {
+      await chrome.scripting.updateContentScripts(existing);
+    }
+    if (added.length > 0) {
+      await chrome.scripting.registerContentScripts(added);
+    }
+
+    securityLogger.log('content_scripts_synced', {
+      monitoredDomains: monitoredDomains.getDomains().length,
+      grantedMatches: matches,
+      lookalikeGuard: allSites
+    });
+  }
+}
+
+const contentScriptRegistrar = new ContentScriptRegistrar();
 
 // Installation and update handlers
 chrome.runtime.onInstalled.addListener((details) => {
@@ -223,29 +2208,66 @@ chrome.runtime.onInstalled.addListener((details) => {
     previousVersion: details.previousVersion
   });
   
-  // Initialize secure defaults
-  secureStorage.store('securitySettings', {
-    auditingEnabled: true,
-    strictMode: true,
-    consentRequired: true
-  }, false); // No consent required for initial security settings
+  // Initialize secure defaults without discarding settings kept across updates
+  securitySettings.initialize();
+
+  contentScriptRegistrar.sync();
+});
+
+// Consent prompts and the log explorer each talk over a dedicated port
+chrome.runtime.onConnect.addListener((port) => {
+  consentManager.handleConnect(port);
+  securityLogger.handleConnect(port);
+});
+
+chrome.windows.onRemoved.addListener((windowId) => {
+  consentManager.handleWindowRemoved(windowId);
 });
 
+chrome.runtime.onStartup.addListener(() => {
+  contentScriptRegistrar.sync();
+});
+
+// Keep registrations in step with the user's domain list and granted host access
+monitoredDomains.onChange((domains) => {
+  securityLogger.log('monitored_domains_updated', { domains });
+  contentScriptRegistrar.sync();
+});
+
+chrome.permissions.onAdded.addListener((permissions) => {
+  contentScriptRegistrar.sync();
+
+  // The permission prompt usually closes the popup that asked, so scanned tabs are redone from here
+  if (permissions.permissions?.includes('cookies')) {
+    tabScanner.rescanAll('cookie_permission');
+  }
+});
+chrome.permissions.onRemoved.addListener(() => contentScriptRegistrar.sync());
+
 // Message handling
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  messageHandler.handleMessage(message, sender, sendResponse)
+  messageHandler.handleMessage(message, sender)
     .then(response => sendResponse(response))
     .catch(error => {
       securityLogger.log('message_error', { error: error.message });
-      sendResponse({ error: 'Internal error' });
+      sendResponse(messageProtocol.failure(message, messageProtocol.errorCodes.INTERNAL_ERROR, 'Internal error'));
     });
   
   return true; // Keep the message channel open for async response
 });
 
 // Tab update monitoring (for security purposes only)
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  // The previous document's score no longer applies once the tab starts loading
+  if (changeInfo.status === 'loading') {
+    tabScanner.clear(tabId).catch(() => {
+      // The tab may already be gone
+    });
+  }
+
   if (changeInfo.status === 'complete' && tab.url) {
+    await monitoredDomains.ready;
+
     // Only log navigation to allowed domains
     const url = new URL(tab.url);
     if (messageHandler.isOriginAllowed(url.origin)) {
@@ -254,21 +2276,43 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
         url: url.origin,
         title: tab.title
       });
+      await tabScanner.scanOnLoad(tabId, tab.url);
     }
   }
 });
 
+// Response header capture for the security header audit (observe only, never modified)
+chrome.webRequest.onHeadersReceived.addListener((details) => {
+  headerAuditStore.record(details).catch(error => {
+    securityLogger.log('header_audit_error', { error: error.message });
+  });
+}, { urls: ['https://*/*'], types: ['main_frame'] }, ['responseHeaders']);
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  headerAuditStore.remove(tabId);
+  tabScanner.remove(tabId);
+  messageHandler.handleTabRemoved(tabId);
+});
+
 // Cleanup on extension shutdown
 chrome.runtime.onSuspend.addListener(() => {
+  messageHandler.flushThrottleSummaries(true);
   securityLogger.log('extension_suspending');
+  securityLogger.flush();
 });
 
 // Export for testing (in a real environment, this would be conditional)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     SecurityLogger,
+    RateLimiter,
     SecureStorage,
-    SecureMessageHandler
+    ConsentManager,
+    SecureMessageHandler,
+    ContentScriptRegistrar,
+    HeaderAuditStore,
+    SiteBaselineStore,
+    TabScanner
   };
 }
 
@@ -0,0 +1,94 @@
+/**
+ * Secure Consent Prompt Script
+ *
+ * This prompt implements security-first principles:
+ * - Shows which data is stored and why before anything is written
+ * - Never displays or receives the stored values themselves
+ * - Closing the window or letting the prompt expire counts as a refusal
+ */
+
+class SecureConsentPrompt {
+  constructor() {
+    this.requestId = new URLSearchParams(window.location.search).get('request');
+    this.port = null;
+    this.countdownTimer = null;
+
+    this.init();
+  }
+
+  init() {
+    this.port = chrome.runtime.connect({ name: 'consent' });
+    this.port.onMessage.addListener(this.handlePortMessage.bind(this));
+    this.port.postMessage(messageProtocol.createPortMessage('consent', 'toBackground', 'GET_CONSENT_REQUEST', {
+      requestId: this.requestId || ''
+    }));
+
+    document.getElementById('allow-btn').addEventListener('click',
+      this.sendDecision.bind(this, 'allow'));
+    document.getElementById('deny-btn').addEventListener('click',
+      this.sendDecision.bind(this, 'deny'));
+  }
+
+  handlePortMessage(message) {
+    const problem = messageProtocol.validatePortMessage('consent', 'toPage', message);
+    if (problem) {
+      document.getElementById('loading').textContent = 'This consent request could not be read.';
+      return;
+    }
+
+    if (message.type === 'CONSENT_REQUEST') {
+      this.showRequest(message);
+    } else if (message.type === 'CONSENT_REQUEST_EXPIRED') {
+      document.getElementById('loading').textContent = 'This consent request is no longer pending.';
+    }
+  }
+
+  showRequest(request) {
+    document.getElementById('consent-key').textContent = request.key;
+    document.getElementById('consent-purpose').textContent = request.purpose;
+    document.getElementById('consent-description').textContent = request.description;
+
+    // Data written by automatic scans is asked about once; the answer can be revoked in the options
+    if (request.alwaysRemember) {
+      const remember = document.getElementById('remember-toggle');
+      remember.checked = true;
+      remember.disabled = true;
+    }
+
+    this.startCountdown(request.expiresAt);
+
+    document.getElementById('loading').style.display = 'none';
+    document.getElementById('content').style.display = 'block';
+  }
+
+  startCountdown(expiresAt) {
+    const countdown = document.getElementById('countdown');
+    const update = () => {
+      const seconds = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+      countdown.textContent = `Denied automatically in ${seconds}s`;
+      if (seconds === 0) {
+        clearInterval(this.countdownTimer);
+      }
+    };
+
+    update();
+    this.countdownTimer = setInterval(update, 1000);
+  }
+
+  sendDecision(decision) {
+    document.getElementById('allow-btn').disabled = true;
+    document.getElementById('deny-btn').disabled = true;
+    clearInterval(this.countdownTimer);
+
+    // The background closes this window once the decision is recorded
+    this.port.postMessage(messageProtocol.createPortMessage('consent', 'toBackground', 'CONSENT_DECISION', {
+      decision,
+      remember: document.getElementById('remember-toggle').checked
+    }));
+  }
+}
+
+// Initialize the prompt when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new SecureConsentPrompt();
+});
@@ -11,19 +11,35 @@
 class SecureContentScript {
   constructor() {
     this.isInitialized = false;
-    this.allowedDomains = ['example.com'];
     this.observers = [];
+    this.settings = {
+      auditingEnabled: true,
+      strictMode: true,
+      redactionLevel: logRedactor.defaultLevel
+    };
     
     this.init();
   }
 
   async init() {
+    await monitoredDomains.ready;
+
+    // Stop monitoring as soon as the user removes this domain
+    monitoredDomains.onChange(() => {
+      if (this.isInitialized && !this.isAllowedDomain(window.location.hostname)) {
+        this.destroy();
+      }
+    });
+
     // Verify we're on an allowed domain
     if (!this.isAllowedDomain(window.location.hostname)) {
       console.warn('[SECURE EXTENSION] Not running on allowed domain:', window.location.hostname);
       return;
     }
 
+    await this.loadSettings();
+    activityBatcher.start();
+
     // Log our presence for transparency
     this.logActivity('content_script_initialized', {
       url: window.location.href,
@@ -36,10 +52,25 @@ class SecureContentScript {
     this.setupSecurityMonitoring();
   }
 
+  async loadSettings() {
+    try {
+      const { settings } = await messageProtocol.send('GET_SETTINGS');
+      this.applySettings(settings);
+    } catch (error) {
+      console.error('[SECURE EXTENSION] Failed to load settings, using secure defaults:', error);
+    }
+  }
+
+  applySettings(settings) {
+    this.settings = {
+      auditingEnabled: settings.auditingEnabled !== false,
+      strictMode: settings.strictMode !== false,
+      redactionLevel: logRedactor.isLevel(settings.redactionLevel) ? settings.redactionLevel : logRedactor.defaultLevel
+    };
+  }
+
   isAllowedDomain(hostname) {
-    return this.allowedDomains.some(domain => 
-      hostname === domain || hostname.endsWith('.' + domain)
-    );
+    return monitoredDomains.isMonitored(hostname);
   }
 
   setupEventListeners() {
@@ -56,6 +87,10 @@ class SecureContentScript {
       mutations.forEach((mutation) => {
         mutation.addedNodes.forEach((node) => {
           if (node.nodeType === Node.ELEMENT_NODE) {
+            if (node.tagName === 'SCRIPT') {
+              scriptInventory.recordDynamicScript(node);
+            }
+
             if (node.tagName === 'SCRIPT' && !node.src.startsWith(window.location.origin)) {
               this.logActivity('suspicious_script_detected', {
                 src: node.src,
@@ -94,9 +129,15 @@ class SecureContentScript {
           fieldType: event.target.type,
           fieldName: event.target.name,
           isUserInitiated: event.isTrusted
-        });
+        }, event.target);
       }
     });
+
+    // Watch for scripts skimming those fields and for rewritten form actions
+    skimmerDetector.start(this);
+
+    // Ask before credentials go to an insecure, foreign or rewritten form target
+    submitGuard.start(this);
   }
 
   isSensitiveField(element) {
@@ -119,7 +160,7 @@ class SecureContentScript {
       this.logActivity('untrusted_click_detected', {
         target: event.target.tagName,
         coordinates: { x: event.clientX, y: event.clientY }
-      });
+      }, event.target);
       return;
     }
 
@@ -131,32 +172,27 @@ class SecureContentScript {
         buttonText: target.textContent?.trim().substring(0, 50),
         buttonType: target.type,
         formAction: target.form?.action
-      });
+      }, target);
     }
   }
 
-  async logActivity(action, details = {}) {
+  logActivity(action, details = {}, element = null) {
+    // Honour the user's auditingEnabled setting
+    if (!this.settings.auditingEnabled) return;
+
+    // Redacted before it leaves the page; identifiers are hashed by the background, which holds the salt
     const logEntry = {
       timestamp: new Date().toISOString(),
       action,
-      details: {
+      details: logRedactor.redact({
         ...details,
         url: window.location.href,
         userAgent: navigator.userAgent.substring(0, 100)
-      }
+      }, this.settings.redactionLevel, { keepIdentifiers: true })
     };
 
-    console.log('[SECURE EXTENSION]', logEntry);
-
-    // Send to background script for centralized logging
-    try {
-      await chrome.runtime.sendMessage({
-        type: 'LOG_ACTIVITY',
-        data: logEntry
-      });
-    } catch (error) {
-      console.error('[SECURE EXTENSION] Failed to send log to background:', error);
-    }
+    // Batched, and repeated interactions with the same element coalesced, so busy pages do not flood the background
+    activityBatcher.add(logEntry, element);
   }
 
   // Public API for legitimate extension functionality
@@ -193,6 +229,9 @@ class SecureContentScript {
     
     this.observers.forEach(observer => observer.disconnect());
     this.observers = [];
+    skimmerDetector.stop();
+    submitGuard.stop();
+    activityBatcher.stop();
     this.isInitialized = false;
   }
 }
@@ -212,69 +251,170 @@ class SecureMessageHandler {
         return false;
       }
 
-      this.handleMessage(message, sendResponse);
+      this.handleMessage(message).then(sendResponse);
       return true; // Keep channel open for async response
     });
   }
 
-  async handleMessage(message, sendResponse) {
+  async handleMessage(message) {
+    const invalid = messageProtocol.validateRequest('content', message);
+    if (invalid) {
+      this.contentScript.logActivity('message_rejected', {
+        type: typeof message?.type === 'string' ? message.type.substring(0, 64) : null,
+        code: invalid.code
+      });
+      return messageProtocol.failure(message, invalid.code, invalid.message);
+    }
+
     try {
-      switch (message.type) {
-        case 'GET_PAGE_INFO':
-          const pageInfo = await this.contentScript.getPageInfo();
-          sendResponse({ success: true, data: pageInfo });
-          break;
-
-        case 'HEALTH_CHECK':
-          const healthStatus = await this.contentScript.performHealthCheck();
-          sendResponse({ success: true, data: healthStatus });
-          break;
-
-        case 'SECURITY_SCAN':
-          const scanResults = await this.performSecurityScan();
-          sendResponse({ success: true, data: scanResults });
-          break;
-
-        default:
-          this.contentScript.logActivity('unknown_message_type', { type: message.type });
-          sendResponse({ success: false, error: 'Unknown message type' });
-      }
+      return messageProtocol.success(message, await this.dispatch(message));
     } catch (error) {
       this.contentScript.logActivity('message_handler_error', { 
         type: message.type, 
         error: error.message 
       });
-      sendResponse({ success: false, error: 'Internal error' });
+      return messageProtocol.failure(message, messageProtocol.errorCodes.INTERNAL_ERROR, 'Internal error');
     }
   }
 
-  async performSecurityScan() {
-    const securityInfo = {
-      hasUntrustedScripts: this.checkForUntrustedScripts(),
-      hasInsecureForms: this.checkForInsecureForms(),
-      hasSensitiveFields: this.checkForSensitiveFields(),
-      protocolSecure: window.location.protocol === 'https:',
-      hasCSP: !!document.querySelector('meta[http-equiv="Content-Security-Policy"]'),
-      timestamp: Date.now()
-    };
+  async dispatch(message) {
+    // Every type defined for the content script in message-protocol.js has a case here
+    switch (message.type) {
+      case 'GET_PAGE_INFO':
+        return await this.contentScript.getPageInfo();
+
+      case 'HEALTH_CHECK':
+        return await this.contentScript.performHealthCheck();
+
+      case 'GET_SCRIPT_INVENTORY': {
+        const inventory = await scriptInventory.collect();
+        this.contentScript.logActivity('script_inventory_requested', {
+          total: inventory.total,
+          thirdParty: inventory.thirdParty
+        });
+        return inventory;
+      }
+
+      case 'VERIFY_SCRIPT_INTEGRITY': {
+        const verification = await scriptInventory.verifyIntegrity();
+        this.contentScript.logActivity('script_integrity_verified', {
+          verified: verification.verified,
+          mismatched: verification.mismatched
+        });
+        return verification;
+      }
+
+      case 'SETTINGS_UPDATED':
+        this.contentScript.applySettings(message.payload.settings);
+        return {};
 
-    this.contentScript.logActivity('security_scan_performed', securityInfo);
-    return securityInfo;
+      case 'SECURITY_SCAN':
+        return await this.performSecurityScan();
+
+      default:
+        throw messageProtocol.createError(messageProtocol.errorCodes.UNKNOWN_TYPE, 'Unknown message type');
+    }
   }
 
-  checkForUntrustedScripts() {
-    const scripts = document.querySelectorAll('script[src]');
-    return Array.from(scripts).some(script => 
-      !script.src.startsWith(window.location.origin) && 
-      !script.src.startsWith('https://cdn.') // Allow common CDNs
+  async performSecurityScan() {
+    const headerAudit = await this.requestHeaderAudit();
+    const cookieAudit = await this.requestCookieAudit();
+    const storageScan = await storageSecretsScanner.scan();
+    const metaPolicies = Array.from(
+      document.querySelectorAll('meta[http-equiv="Content-Security-Policy" i]')
+    ).map(meta => meta.getAttribute('content') || '');
+
+    const csp = cspEvaluator.evaluate({
+      enforced: headerAudit ? headerAudit.policies.enforced : [],
+      reportOnly: headerAudit ? headerAudit.policies.reportOnly : [],
+      meta: metaPolicies
+    });
+
+    // A <meta> policy still counts when the header is missing
+    const headerFindings = (headerAudit ? headerAudit.findings : []).filter(finding =>
+      !(finding.id === 'header-csp-missing' && csp.mode === 'enforced')
     );
+
+    const scanResults = await securityScanner.scan({
+      strictMode: this.contentScript.settings.strictMode,
+      extraFindings: [
+        ...headerFindings,
+        ...csp.findings,
+        ...(cookieAudit ? cookieAudit.findings : []),
+        ...storageScan.findings
+      ]
+    });
+
+    scanResults.headers = headerAudit ? headerAudit.grades : null;
+    scanResults.csp = { mode: csp.mode, policyCount: csp.policyCount, directives: csp.directives };
+    scanResults.cookies = cookieAudit ? { count: cookieAudit.cookieCount } : null;
+    scanResults.storage = { areas: storageScan.areas, secrets: storageScan.secrets };
+    scanResults.hasSensitiveFields = this.checkForSensitiveFields();
+    scanResults.profile = this.collectSiteProfile(headerAudit);
+    scanResults.hasCSP = csp.mode === 'enforced';
+
+    // Evidence stays in the scan response; the audit log only needs the outcome
+    this.contentScript.logActivity('security_scan_performed', {
+      score: scanResults.score,
+      summary: scanResults.summary,
+      findingIds: scanResults.findings.map(finding => finding.id)
+    });
+    return scanResults;
   }
 
-  checkForInsecureForms() {
-    const forms = document.querySelectorAll('form');
-    return Array.from(forms).some(form => 
-      form.action && !form.action.startsWith('https://')
-    );
+  async requestHeaderAudit() {
+    // Headers are only visible to the background, which captured them on load
+    try {
+      const { audit } = await messageProtocol.send('GET_HEADER_AUDIT');
+      return audit;
+    } catch (error) {
+      console.error('[SECURE EXTENSION] Header audit unavailable:', error);
+      return null;
+    }
+  }
+
+  async requestCookieAudit() {
+    // Only the background can read cookie attributes, and only with the optional permission
+    try {
+      const { audit } = await messageProtocol.send('GET_COOKIE_AUDIT');
+      return audit;
+    } catch (error) {
+      console.error('[SECURE EXTENSION] Cookie audit unavailable:', error);
+      return null;
+    }
+  }
+
+  collectSiteProfile(headerAudit) {
+    // The parts of a page whose changes matter between visits, for the per-site baseline
+    const unique = values => Array.from(new Set(values.filter(Boolean))).sort();
+    const originOf = (value) => {
+      try {
+        const url = new URL(value, window.location.href);
+        return url.protocol === 'https:' || url.protocol === 'http:' ? url.origin : null;
+      } catch (error) {
+        return null;
+      }
+    };
+    const actionHostOf = (form) => {
+      try {
+        return new URL(form.getAttribute('action') || window.location.href, window.location.href).host;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const forms = Array.from(document.forms);
+    return {
+      scriptOrigins: unique(Array.from(document.scripts, script => script.src && originOf(script.src))),
+      formActionHosts: unique(forms.map(actionHostOf)),
+      loginFormActionHosts: unique(forms
+        .filter(form => form.querySelector('input[type="password"]'))
+        .map(actionHostOf)),
+      iframeOrigins: unique(Array.from(document.querySelectorAll('iframe[src]'), frame => originOf(frame.src))),
+      headerGrades: headerAudit
+        ? Object.fromEntries(headerAudit.grades.map(grade => [grade.name, grade.grade]))
+        : null
+    };
   }
 
   checkForSensitiveFields() {
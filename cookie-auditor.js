@@ -0,0 +1,146 @@
+/**
+ * Cookie Security Auditor
+ *
+ * Checks the attributes of the cookies a monitored page receives. Loaded by the
+ * background service worker, which reads them with chrome.cookies once the
+ * user grants the optional "cookies" permission:
+ * - Missing Secure or HttpOnly, SameSite=None without Secure, broad Domain,
+ *   long lifetimes and misused __Host- / __Secure- prefixes
+ * - Problems become findings in the same shape the page scanner produces
+ * - Cookie values are dropped before anything is checked; only names and
+ *   attributes are ever kept
+ */
+
+class CookieAuditor {
+  constructor() {
+    this.maxLifetimeDays = 365;
+    this.sessionNamePattern = /sess|sid$|^sid|auth|token|jwt|login|remember/i;
+    this.scriptReadablePattern = /csrf|xsrf/i; // Double-submit tokens must be readable by scripts
+    this.maxNameLength = 100;
+  }
+
+  audit(cookies, url) {
+    const page = new URL(url);
+    const isHttps = page.protocol === 'https:';
+    const entries = (cookies || []).map(cookie => this.describe(cookie));
+    const problems = {};
+
+    const flag = (id, entry, note) => {
+      (problems[id] = problems[id] || []).push(note ? `${entry.name} (${note})` : entry.name);
+    };
+
+    entries.forEach(entry => {
+      const sessionLike = this.sessionNamePattern.test(entry.name) && !this.scriptReadablePattern.test(entry.name);
+
+      if (isHttps && !entry.secure) {
+        flag('cookie-missing-secure', entry);
+      }
+      if (sessionLike && !entry.httpOnly) {
+        flag('cookie-session-missing-httponly', entry);
+      }
+      if (entry.sameSite === 'no_restriction' && !entry.secure) {
+        flag('cookie-samesite-none-insecure', entry);
+      }
+      if (!entry.hostOnly && entry.domain !== page.hostname) {
+        flag('cookie-broad-domain', entry, `Domain=${entry.domain}`);
+      }
+      if (entry.lifetimeDays !== null && entry.lifetimeDays > this.maxLifetimeDays) {
+        flag('cookie-long-lifetime', entry, `${entry.lifetimeDays} days`);
+      }
+
+      const prefixProblem = this.checkPrefix(entry);
+      if (prefixProblem) {
+        flag('cookie-prefix-misuse', entry, prefixProblem);
+      }
+    });
+
+    const findings = Object.entries(problems).map(([id, evidence]) => ({
+      ...this.definitions()[id],
+      id,
+      evidence,
+      evidenceCount: evidence.length
+    }));
+
+    return {
+      url: page.origin,
+      cookieCount: entries.length,
+      cookies: entries,
+      findings,
+      auditedAt: Date.now()
+    };
+  }
+
+  describe(cookie) {
+    // Only the attributes; the value never leaves this function
+    const lifetimeDays = cookie.session || typeof cookie.expirationDate !== 'number'
+      ? null
+      : Math.round((cookie.expirationDate * 1000 - Date.now()) / 86400000);
+
+    return {
+      name: String(cookie.name || '').substring(0, this.maxNameLength),
+      domain: String(cookie.domain || '').replace(/^\./, ''),
+      hostOnly: cookie.hostOnly === true,
+      path: cookie.path || '/',
+      secure: cookie.secure === true,
+      httpOnly: cookie.httpOnly === true,
+      sameSite: cookie.sameSite || 'unspecified',
+      lifetimeDays
+    };
+  }
+
+  checkPrefix(entry) {
+    // Browsers match the prefixes case-insensitively
+    const name = entry.name.toLowerCase();
+
+    if (name.startsWith('__host-')) {
+      if (!entry.secure) return '__Host- without Secure';
+      if (!entry.hostOnly) return '__Host- with a Domain attribute';
+      if (entry.path !== '/') return `__Host- with Path=${entry.path}`;
+    } else if (name.startsWith('__secure-') && !entry.secure) {
+      return '__Secure- without Secure';
+    }
+    return null;
+  }
+
+  definitions() {
+    return {
+      'cookie-missing-secure': {
+        severity: 'medium',
+        description: 'Cookies are set without the Secure attribute and can be sent over plain HTTP.',
+        remediation: 'Add Secure to every cookie set by an HTTPS site.'
+      },
+      'cookie-session-missing-httponly': {
+        severity: 'high',
+        description: 'Cookies that look like session or auth tokens are readable by page scripts.',
+        remediation: 'Add HttpOnly to session and authentication cookies; page scripts never need to read them.'
+      },
+      'cookie-samesite-none-insecure': {
+        severity: 'high',
+        description: 'Cookies use SameSite=None without Secure.',
+        remediation: 'Add Secure to every SameSite=None cookie, or use SameSite=Lax.'
+      },
+      'cookie-broad-domain': {
+        severity: 'low',
+        description: 'Cookies are scoped to a parent domain, so every other subdomain receives them too.',
+        remediation: 'Omit Domain so cookies stay with the host that set them, unless other subdomains need them.'
+      },
+      'cookie-long-lifetime': {
+        severity: 'low',
+        description: `Cookies stay valid for more than ${this.maxLifetimeDays} days.`,
+        remediation: 'Shorten Max-Age or Expires, especially for cookies that keep users signed in.'
+      },
+      'cookie-prefix-misuse': {
+        severity: 'medium',
+        description: 'Cookies use the __Host- or __Secure- prefix without the attributes it promises.',
+        remediation: '__Secure- cookies need Secure; __Host- cookies need Secure, Path=/ and no Domain.'
+      }
+    };
+  }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CookieAuditor
+  };
+}
@@ -0,0 +1,307 @@
+/**
+ * Content-Security-Policy Evaluator
+ *
+ * Parses the policies a page is served with and explains how much protection
+ * they actually give. Loaded into the content script ahead of content-secure.js:
+ * - Accepts header policies (captured by the background) and <meta> policies
+ * - Several policies are all enforced, so a weakness only counts when every
+ *   policy allows it
+ * - Findings use the page scanner's shape, with the directive they concern
+ */
+
+class CspEvaluator {
+  constructor() {
+    // Directives a <meta> policy cannot set
+    this.metaIgnoredDirectives = ['frame-ancestors', 'report-uri', 'report-to', 'sandbox'];
+
+    // Allowlisted hosts known to serve JSONP endpoints or script gadgets that bypass CSP
+    this.bypassHosts = [
+      'www.google.com',
+      'accounts.google.com',
+      'ajax.googleapis.com',
+      'www.googleapis.com',
+      'translate.googleapis.com',
+      'www.gstatic.com',
+      'cdnjs.cloudflare.com',
+      'cdn.jsdelivr.net',
+      'unpkg.com',
+      'api.twitter.com',
+      'graph.facebook.com',
+      'www.youtube.com'
+    ];
+  }
+
+  parse(policyText, source = 'header') {
+    const directives = new Map();
+
+    policyText.split(';').forEach(part => {
+      const tokens = part.trim().split(/\s+/).filter(Boolean);
+      if (tokens.length === 0) return;
+
+      const name = tokens[0].toLowerCase();
+
+      // Only the first occurrence of a directive counts
+      if (directives.has(name)) return;
+      if (source === 'meta' && this.metaIgnoredDirectives.includes(name)) return;
+
+      directives.set(name, tokens.slice(1).map(token => this.normalizeSource(token)));
+    });
+
+    return { source, directives };
+  }
+
+  normalizeSource(token) {
+    if (!/^'.*'$/.test(token)) return token;
+
+    // Keywords are case-insensitive; nonce and hash values are not, so only their prefix is lowercased
+    const valued = /^'(nonce|sha256|sha384|sha512)-(.*)'$/i.exec(token);
+    return valued ? `'${valued[1].toLowerCase()}-${valued[2]}'` : token.toLowerCase();
+  }
+
+  parseHeader(headerValue, source = 'header') {
+    // One header can carry several policies separated by commas
+    return headerValue
+      .split(',')
+      .map(policyText => this.parse(policyText, source))
+      .filter(policy => policy.directives.size > 0);
+  }
+
+  evaluate({ enforced = [], reportOnly = [], meta = [] } = {}) {
+    const enforcedPolicies = [
+      ...enforced.flatMap(value => this.parseHeader(value, 'header')),
+      ...meta.map(value => this.parse(value, 'meta')).filter(policy => policy.directives.size > 0)
+    ];
+    const reportOnlyPolicies = reportOnly.flatMap(value => this.parseHeader(value, 'report-only'));
+
+    // Without an enforced policy, say what the report-only one would achieve
+    const mode = enforcedPolicies.length > 0
+      ? 'enforced'
+      : (reportOnlyPolicies.length > 0 ? 'report-only' : 'none');
+    const policies = mode === 'enforced' ? enforcedPolicies : reportOnlyPolicies;
+
+    if (policies.length === 0) {
+      return { mode, policyCount: 0, directives: [], findings: [] };
+    }
+
+    const findings = this.findWeaknesses(policies);
+    if (mode === 'report-only') {
+      findings.forEach(finding => {
+        finding.id = `${finding.id}-report-only`;
+        finding.severity = 'info';
+        finding.description = `Report-only policy: ${finding.description}`;
+      });
+    }
+
+    return {
+      mode,
+      policyCount: policies.length,
+      directives: this.explainDirectives(policies),
+      findings
+    };
+  }
+
+  effectiveSources(policy, directive) {
+    // Fetch directives fall back to default-src; base-uri and form-action do not
+    const fallbacks = {
+      'script-src': ['script-src', 'default-src'],
+      'object-src': ['object-src', 'default-src'],
+      'base-uri': ['base-uri']
+    };
+
+    for (const name of fallbacks[directive] || [directive]) {
+      if (policy.directives.has(name)) {
+        return { directive: name, sources: policy.directives.get(name) };
+      }
+    }
+    return null;
+  }
+
+  scriptAnalysis(policy) {
+    const effective = this.effectiveSources(policy, 'script-src');
+    if (!effective) {
+      return { unrestricted: true, directive: 'script-src' };
+    }
+
+    const sources = effective.sources;
+    const hasNonceOrHash = sources.some(token => /^'(nonce|sha256|sha384|sha512)-/.test(token));
+    const strictDynamic = sources.includes("'strict-dynamic'");
+    const hosts = sources.filter(token => !token.startsWith("'"));
+
+    return {
+      unrestricted: false,
+      directive: effective.directive,
+      sources,
+      // Nonces, hashes and strict-dynamic make browsers ignore these keywords
+      unsafeInline: sources.includes("'unsafe-inline'") && !hasNonceOrHash && !strictDynamic,
+      unsafeEval: sources.includes("'unsafe-eval'"),
+      wildcardSources: strictDynamic ? [] : hosts.filter(token =>
+        token === '*' || /^(https?|data|blob):$/i.test(token)
+      ),
+      bypassHosts: strictDynamic ? [] : hosts.filter(token => this.isBypassHost(token))
+    };
+  }
+
+  isBypassHost(sourceExpression) {
+    const host = sourceExpression
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+      .split(/[/:]/)[0]
+      .toLowerCase();
+
+    return this.bypassHosts.some(known => {
+      if (host.startsWith('*.')) {
+        return known.endsWith(host.substring(1));
+      }
+      return host === known;
+    });
+  }
+
+  findWeaknesses(policies) {
+    const analyses = policies.map(policy => this.scriptAnalysis(policy));
+    const findings = [];
+
+    // A weakness only exists if no other policy closes it
+    const everyPolicy = (test) => analyses.every(analysis => analysis.unrestricted || test(analysis));
+    const evidence = (pick) => analyses
+      .filter(analysis => !analysis.unrestricted)
+      .flatMap(pick);
+
+    if (analyses.every(analysis => analysis.unrestricted)) {
+      findings.push({
+        id: 'csp-no-script-restriction',
+        directive: 'script-src',
+        severity: 'high',
+        description: 'The policy sets neither script-src nor default-src, so any script may run.',
+        remediation: "Add script-src with nonces or hashes, e.g. script-src 'nonce-…' 'strict-dynamic'.",
+        evidence: []
+      });
+      return findings.concat(this.findMissingDirectives(policies));
+    }
+
+    if (everyPolicy(analysis => analysis.unsafeInline)) {
+      findings.push({
+        id: 'csp-unsafe-inline',
+        directive: 'script-src',
+        severity: 'high',
+        description: "'unsafe-inline' allows injected inline scripts and event handlers to run.",
+        remediation: "Replace 'unsafe-inline' with nonces or hashes for the inline scripts the page needs.",
+        evidence: evidence(analysis => (analysis.unsafeInline ? [`${analysis.directive} 'unsafe-inline'`] : []))
+      });
+    }
+
+    if (everyPolicy(analysis => analysis.unsafeEval)) {
+      findings.push({
+        id: 'csp-unsafe-eval',
+        directive: 'script-src',
+        severity: 'medium',
+        description: "'unsafe-eval' lets strings be executed as code through eval() and similar APIs.",
+        remediation: "Remove 'unsafe-eval' and refactor code that builds scripts from strings.",
+        evidence: evidence(analysis => (analysis.unsafeEval ? [`${analysis.directive} 'unsafe-eval'`] : []))
+      });
+    }
+
+    if (everyPolicy(analysis => analysis.wildcardSources.length > 0)) {
+      findings.push({
+        id: 'csp-wildcard-script-source',
+        directive: 'script-src',
+        severity: 'high',
+        description: 'Script sources include a wildcard or a whole scheme, allowing scripts from almost anywhere.',
+        remediation: "Drop *, https: and data: from script-src; use nonces with 'strict-dynamic' instead.",
+        evidence: evidence(analysis => analysis.wildcardSources.map(token => `${analysis.directive} ${token}`))
+      });
+    }
+
+    if (everyPolicy(analysis => analysis.bypassHosts.length > 0)) {
+      findings.push({
+        id: 'csp-bypassable-host',
+        directive: 'script-src',
+        severity: 'high',
+        description: 'Allowlisted script hosts serve JSONP endpoints or libraries that can be abused to bypass the policy.',
+        remediation: "Replace host allowlists with nonces and 'strict-dynamic', or self-host the needed files.",
+        evidence: evidence(analysis => analysis.bypassHosts.map(token => `${analysis.directive} ${token}`))
+      });
+    }
+
+    return findings.concat(this.findMissingDirectives(policies));
+  }
+
+  findMissingDirectives(policies) {
+    const findings = [];
+
+    const objectUnrestricted = policies.every(policy => {
+      const effective = this.effectiveSources(policy, 'object-src');
+      return !effective || !(effective.sources.length === 1 && effective.sources[0] === "'none'");
+    });
+    if (objectUnrestricted) {
+      findings.push({
+        id: 'csp-object-src-missing',
+        directive: 'object-src',
+        severity: 'medium',
+        description: "object-src is not 'none', so plugin content can be embedded and used to run script.",
+        remediation: "Add object-src 'none'.",
+        evidence: []
+      });
+    }
+
+    if (policies.every(policy => !this.effectiveSources(policy, 'base-uri'))) {
+      findings.push({
+        id: 'csp-base-uri-missing',
+        directive: 'base-uri',
+        severity: 'medium',
+        description: 'base-uri is missing, so an injected <base> tag can redirect relative script URLs.',
+        remediation: "Add base-uri 'none' (or 'self').",
+        evidence: []
+      });
+    }
+
+    return findings;
+  }
+
+  explainDirectives(policies) {
+    const explanations = [];
+
+    policies.forEach((policy, index) => {
+      policy.directives.forEach((sources, name) => {
+        explanations.push({
+          policy: index + 1,
+          source: policy.source,
+          name,
+          sources,
+          explanation: this.explainDirective(name, sources)
+        });
+      });
+    });
+
+    return explanations;
+  }
+
+  explainDirective(name, sources) {
+    if (sources.length === 1 && sources[0] === "'none'") {
+      return `${name} blocks everything it governs.`;
+    }
+
+    const notes = [];
+    if (sources.includes("'self'")) notes.push('same-origin resources');
+    if (sources.some(token => token.startsWith("'nonce-"))) notes.push('elements carrying the nonce');
+    if (sources.some(token => /^'sha(256|384|512)-/.test(token))) notes.push('inline code matching a hash');
+    if (sources.includes("'strict-dynamic'")) notes.push('scripts loaded by already trusted scripts (host lists ignored)');
+    if (sources.includes("'unsafe-inline'")) notes.push('any inline code');
+    if (sources.includes("'unsafe-eval'")) notes.push('eval() and new Function()');
+    if (sources.includes('*')) notes.push('any host');
+
+    const hosts = sources.filter(token => !token.startsWith("'") && token !== '*');
+    if (hosts.length > 0) notes.push(`${hosts.length} listed host(s) or scheme(s)`);
+
+    return notes.length > 0
+      ? `${name} allows ${notes.join(', ')}.`
+      : `${name} is set to ${sources.join(' ') || 'an empty list'}.`;
+  }
+}
+
+const cspEvaluator = new CspEvaluator();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CspEvaluator
+  };
+}
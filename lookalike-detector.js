@@ -0,0 +1,204 @@
+/**
+ * Lookalike Domain Detector
+ *
+ * Tells whether a hostname imitates one of the monitored domains. Loaded by
+ * the popup and the lookalike guard content script; needs monitored-domains.js:
+ * - Punycode (IDN) names whose characters imitate a monitored domain
+ * - Labels mixing scripts, such as Latin with Cyrillic
+ * - Typosquats within a small edit distance, digit swaps and changed TLDs
+ * - A monitored brand embedded in another site's subdomains or name
+ * - Entirely offline; the monitored domain list is the only reference
+ */
+
+class LookalikeDetector {
+  constructor() {
+    // Characters drawn like Latin letters; compared after accents are stripped
+    this.confusables = {
+      'а': 'a', 'е': 'e', 'ё': 'e', 'і': 'i', 'ї': 'i', 'ј': 'j', 'к': 'k', 'о': 'o', 'р': 'p',
+      'с': 'c', 'ѕ': 's', 'у': 'y', 'х': 'x', 'һ': 'h', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w', 'ӏ': 'l',
+      'α': 'a', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'υ': 'u', 'χ': 'x',
+      'օ': 'o', 'ս': 'u', 'ց': 'g', 'հ': 'h', 'ո': 'n',
+      'ı': 'i', 'ɩ': 'i', 'ł': 'l', 'ɡ': 'g', 'ƒ': 'f',
+      '0': 'o', '1': 'l', '3': 'e', '5': 's'
+    };
+    this.confusableSequences = [['rn', 'm'], ['vv', 'w']];
+    this.scripts = ['Latin', 'Cyrillic', 'Greek', 'Armenian'];
+
+    // Shorter brands match too much of the web to be worth flagging
+    this.minBrandLength = 4;
+
+    this.reasonLabels = {
+      idn_homograph: 'uses look-alike international characters',
+      mixed_script: 'mixes alphabets in one name',
+      typosquat: 'is a near-miss spelling',
+      tld_swap: 'uses a different top-level domain',
+      brand_embedded: 'embeds the name in another site\'s address'
+    };
+  }
+
+  check(hostname, trustedDomains) {
+    const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+    if (!host || /^[\d.]+$/.test(host) || host.includes(':')) return null;
+
+    // Monitored domains and their subdomains are the real thing
+    if (trustedDomains.some(domain => host === domain || host.endsWith('.' + domain))) {
+      return null;
+    }
+
+    const unicodeHostname = this.toUnicode(host);
+    const matches = trustedDomains
+      .map(domain => ({ domain, reasons: this.compare(host, domain) }))
+      .filter(match => match.reasons.length > 0);
+
+    return matches.length > 0 ? { hostname: host, unicodeHostname, matches } : null;
+  }
+
+  compare(host, domain) {
+    const site = monitoredDomains.registrableDomain(host);
+    const trustedSite = monitoredDomains.registrableDomain(domain);
+    if (site === trustedSite) return [];
+
+    const [name, ...suffix] = site.split('.');
+    const [brand, ...trustedSuffix] = trustedSite.split('.');
+    const unicodeName = this.toUnicode(name);
+    const nameSkeleton = this.skeleton(unicodeName);
+    const brandSkeleton = this.skeleton(brand);
+    const reasons = [];
+
+    const resembles = nameSkeleton === brandSkeleton ||
+      (brand.length >= this.minBrandLength && this.editDistance(nameSkeleton, brandSkeleton) <= this.maxDistance(brand));
+
+    if (unicodeName !== name && nameSkeleton === brandSkeleton) {
+      reasons.push('idn_homograph');
+    }
+    if (resembles && this.isMixedScript(unicodeName)) {
+      reasons.push('mixed_script');
+    }
+    if (name !== brand && resembles && unicodeName === name) {
+      reasons.push('typosquat');
+    }
+    if (name === brand && suffix.join('.') !== trustedSuffix.join('.')) {
+      reasons.push('tld_swap');
+    }
+
+    // paypal.com.secure-login.net, login-paypal.net
+    if (brand.length >= this.minBrandLength) {
+      const subdomains = host.slice(0, Math.max(0, host.length - site.length - 1));
+      const tokens = [...subdomains.split(/[.-]/), ...(name.includes('-') ? name.split('-') : [])]
+        .filter(Boolean)
+        .map(token => this.skeleton(this.toUnicode(token)));
+      if (tokens.includes(brandSkeleton)) {
+        reasons.push('brand_embedded');
+      }
+    }
+
+    return reasons;
+  }
+
+  describe(result) {
+    const match = result.matches[0];
+    const reasons = match.reasons.map(reason => this.reasonLabels[reason]).join(', ');
+    return `${result.unicodeHostname} looks like ${match.domain}: it ${reasons}.`;
+  }
+
+  maxDistance(brand) {
+    return brand.length >= 8 ? 2 : 1;
+  }
+
+  skeleton(text) {
+    let result = Array.from(text.normalize('NFKD').replace(/\p{M}/gu, ''), char => this.confusables[char] || char).join('');
+    this.confusableSequences.forEach(([sequence, replacement]) => {
+      result = result.split(sequence).join(replacement);
+    });
+    return result;
+  }
+
+  isMixedScript(label) {
+    const found = this.scripts.filter(script => new RegExp(`\\p{Script=${script}}`, 'u').test(label));
+    return found.length > 1;
+  }
+
+  editDistance(a, b) {
+    // Optimal string alignment: insertions, deletions, substitutions and adjacent swaps
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  toUnicode(hostname) {
+    return hostname.split('.').map(label => {
+      if (!label.startsWith('xn--')) return label;
+      try {
+        return this.decodePunycode(label.slice(4));
+      } catch (error) {
+        return label;
+      }
+    }).join('.');
+  }
+
+  decodePunycode(input) {
+    // RFC 3492; the browser only hands us the ASCII form of internationalized names
+    const base = 36;
+    const tMin = 1;
+    const tMax = 26;
+    const adapt = (delta, points, first) => {
+      delta = first ? Math.floor(delta / 700) : delta >> 1;
+      delta += Math.floor(delta / points);
+      let k = 0;
+      while (delta > ((base - tMin) * tMax) >> 1) {
+        delta = Math.floor(delta / (base - tMin));
+        k += base;
+      }
+      return k + Math.floor(((base - tMin + 1) * delta) / (delta + 38));
+    };
+    const digitOf = (code) => {
+      if (code >= 48 && code <= 57) return code - 22;
+      if (code >= 97 && code <= 122) return code - 97;
+      if (code >= 65 && code <= 90) return code - 65;
+      throw new Error('Invalid punycode');
+    };
+
+    const basicEnd = Math.max(0, input.lastIndexOf('-'));
+    const output = Array.from(input.slice(0, basicEnd), char => char.codePointAt(0));
+    let n = 128;
+    let bias = 72;
+    let i = 0;
+
+    for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length;) {
+      const previous = i;
+      for (let w = 1, k = base; ; k += base) {
+        if (index >= input.length) throw new Error('Invalid punycode');
+        const digit = digitOf(input.charCodeAt(index++));
+        i += digit * w;
+        const t = k <= bias ? tMin : (k >= bias + tMax ? tMax : k - bias);
+        if (digit < t) break;
+        w *= base - t;
+      }
+      bias = adapt(i - previous, output.length + 1, previous === 0);
+      n += Math.floor(i / (output.length + 1));
+      i %= output.length + 1;
+      output.splice(i++, 0, n);
+    }
+
+    return String.fromCodePoint(...output);
+  }
+}
+
+const lookalikeDetector = new LookalikeDetector();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LookalikeDetector
+  };
+}
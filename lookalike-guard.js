@@ -0,0 +1,81 @@
+/**
+ * Lookalike Site Guard
+ *
+ * Warns on pages whose hostname imitates a monitored domain and that ask for
+ * a password or card number. Registered for every HTTPS site once the user
+ * enables it on the options page; the popup injects it into the active tab
+ * otherwise. Loaded after monitored-domains.js, lookalike-detector.js and
+ * page-warnings.js:
+ * - Only reads the hostname and whether sensitive fields exist
+ * - Sends nothing to the background; the sites it runs on are not monitored
+ */
+
+class LookalikeGuard {
+  constructor() {
+    this.observer = null;
+    this.checkTimer = null;
+    this.sensitiveSelector = [
+      'input[type="password"]',
+      'input[autocomplete^="cc-"]',
+      'input[name*="card" i]',
+      'input[id*="card" i]'
+    ].join(', ');
+  }
+
+  async start() {
+    await monitoredDomains.ready;
+
+    const result = lookalikeDetector.check(window.location.hostname, monitoredDomains.getDomains());
+    if (!result) return;
+
+    if (this.hasSensitiveFields()) {
+      this.warn(result);
+      return;
+    }
+
+    // Sign-in and checkout forms are often rendered after load
+    this.observer = new MutationObserver(() => {
+      if (this.checkTimer) return;
+      this.checkTimer = setTimeout(() => {
+        this.checkTimer = null;
+        if (this.hasSensitiveFields()) {
+          this.stop();
+          this.warn(result);
+        }
+      }, 500);
+    });
+    this.observer.observe(document.documentElement, { childList: true, subtree: true });
+  }
+
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    clearTimeout(this.checkTimer);
+    this.checkTimer = null;
+  }
+
+  hasSensitiveFields() {
+    return document.querySelector(this.sensitiveSelector) !== null;
+  }
+
+  warn(result) {
+    pageWarnings.show({
+      id: 'lookalike-domain',
+      title: 'This may not be the site you think',
+      message: `${lookalikeDetector.describe(result)} Check the address before entering a password or card number.`,
+      severity: 'high'
+    });
+  }
+}
+
+const lookalikeGuard = new LookalikeGuard();
+lookalikeGuard.start();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LookalikeGuard
+  };
+}
@@ -0,0 +1,325 @@
+/**
+ * Message Protocol
+ *
+ * One definition of every runtime message exchanged between the background
+ * service worker, the content script and the extension pages. Loaded by all of them:
+ * - Each type declares its target, who may send it, and its request and
+ *   response fields
+ * - Requests carry the protocol version and a request id; responses echo both
+ * - Every response uses the same envelope, with a coded error on failure
+ * - Messages on the long-lived consent and audit-log ports are plain
+ *   { type, ...fields } objects, defined per port and direction
+ * - Both ends validate, so a malformed message fails loudly on either side
+ */
+
+class MessageProtocol {
+  constructor() {
+    this.version = 1;
+
+    // Field specs are a type name; a trailing "?" also allows null or a missing field
+    this.definitions = {
+      background: {
+        GET_AUDIT_LOG: {
+          senders: ['extension_page'],
+          request: {},
+          response: { logs: 'array', chain: 'object' }
+        },
+        CLEAR_AUDIT_LOG: {
+          senders: ['extension_page'],
+          request: {},
+          response: {}
+        },
+        VERIFY_AUDIT_LOG: {
+          senders: ['extension_page'],
+          request: {},
+          response: { integrity: 'object' }
+        },
+        HEALTH_CHECK: {
+          senders: ['extension_page', 'content_script'],
+          request: {},
+          response: { status: 'string', timestamp: 'number', rateLimiting: 'object' }
+        },
+        LOG_ACTIVITY: {
+          senders: ['content_script'],
+          request: { action: 'string', timestamp: 'string', details: 'object?' },
+          response: {}
+        },
+        LOG_ACTIVITY_BATCH: {
+          senders: ['content_script'],
+          request: { events: 'array' },
+          response: { accepted: 'number', rejected: 'number' }
+        },
+        GET_HEADER_AUDIT: {
+          senders: ['extension_page', 'content_script'],
+          request: { tabId: 'number?' },
+          response: { audit: 'object?' }
+        },
+        GET_COOKIE_AUDIT: {
+          senders: ['content_script'],
+          request: {},
+          response: { audit: 'object?' }
+        },
+        SCAN_TAB: {
+          senders: ['extension_page'],
+          request: { tabId: 'number' },
+          response: { scan: 'object' }
+        },
+        GET_TAB_SCAN: {
+          senders: ['extension_page'],
+          request: { tabId: 'number' },
+          response: { scan: 'object?' }
+        },
+        ACCEPT_BASELINE_CHANGE: {
+          senders: ['extension_page'],
+          request: { origin: 'string' },
+          response: { baseline: 'object?' }
+        },
+        GET_SETTINGS: {
+          senders: ['extension_page', 'content_script'],
+          request: {},
+          response: { settings: 'object' }
+        },
+        UPDATE_SETTINGS: {
+          senders: ['extension_page'],
+          request: { settings: 'object' },
+          response: { settings: 'object' }
+        },
+        GET_ENCRYPTION_STATUS: {
+          senders: ['extension_page'],
+          request: {},
+          response: { encryption: 'object' }
+        },
+        SET_STORAGE_PASSPHRASE: {
+          senders: ['extension_page'],
+          request: { passphrase: 'string' },
+          response: {}
+        },
+        UNLOCK_STORAGE: {
+          senders: ['extension_page'],
+          request: { passphrase: 'string' },
+          response: {}
+        },
+        ROTATE_ENCRYPTION_KEY: {
+          senders: ['extension_page'],
+          request: {},
+          response: {}
+        }
+      },
+
+      // Content scripts only accept messages from our own extension
+      content: {
+        GET_PAGE_INFO: {
+          request: {},
+          response: { title: 'string', url: 'string', domain: 'string', readyState: 'string', elementCount: 'number' }
+        },
+        HEALTH_CHECK: {
+          request: {},
+          response: { initialized: 'boolean', domain: 'string', allowed: 'boolean', timestamp: 'number' }
+        },
+        GET_SCRIPT_INVENTORY: {
+          request: {},
+          response: { total: 'number', thirdParty: 'number', withoutIntegrity: 'number', groups: 'array' }
+        },
+        VERIFY_SCRIPT_INTEGRITY: {
+          request: {},
+          response: { verified: 'number', mismatched: 'number', results: 'array' }
+        },
+        SETTINGS_UPDATED: {
+          request: { settings: 'object' },
+          response: {}
+        },
+        SECURITY_SCAN: {
+          request: {},
+          response: { findings: 'array', score: 'number', summary: 'object', csp: 'object', profile: 'object' }
+        }
+      }
+    };
+
+    // Port messages: port name -> direction -> type -> fields. Ports are only
+    // accepted from our own pages, so there are no sender lists here
+    this.portDefinitions = {
+      consent: {
+        toBackground: {
+          GET_CONSENT_REQUEST: { requestId: 'string' },
+          CONSENT_DECISION: { decision: 'string', remember: 'boolean' }
+        },
+        toPage: {
+          CONSENT_REQUEST: {
+            key: 'string',
+            purpose: 'string',
+            description: 'string',
+            expiresAt: 'number',
+            alwaysRemember: 'boolean'
+          },
+          CONSENT_REQUEST_EXPIRED: {}
+        }
+      },
+      'audit-log': {
+        toBackground: {},
+        toPage: {
+          AUDIT_LOG_SNAPSHOT: { logs: 'array' },
+          AUDIT_LOG_ENTRY: { entry: 'object' }
+        }
+      }
+    };
+
+    // Codes shared by both ends; storage errors add their own (STORAGE_LOCKED, ...)
+    this.errorCodes = {
+      INVALID_REQUEST: 'INVALID_REQUEST',
+      UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+      UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+      NOT_PERMITTED: 'NOT_PERMITTED',
+      RATE_LIMITED: 'RATE_LIMITED',
+      INVALID_RESPONSE: 'INVALID_RESPONSE',
+      INTERNAL_ERROR: 'INTERNAL_ERROR'
+    };
+  }
+
+  getDefinition(target, type) {
+    const definitions = this.definitions[target] || {};
+    return Object.prototype.hasOwnProperty.call(definitions, type) ? definitions[type] : null;
+  }
+
+  createPortMessage(portName, direction, type, fields = {}) {
+    const message = { type, ...fields };
+    const problem = this.validatePortMessage(portName, direction, message);
+    if (problem) {
+      throw this.createError(this.errorCodes.INVALID_REQUEST, problem);
+    }
+    return message;
+  }
+
+  validatePortMessage(portName, direction, message) {
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+      return 'Malformed port message';
+    }
+
+    const definitions = this.portDefinitions[portName]?.[direction] || {};
+    if (!Object.prototype.hasOwnProperty.call(definitions, message.type)) {
+      return `unknown ${portName} port message type ${message.type}`;
+    }
+    return this.checkFields(message, definitions[message.type]);
+  }
+
+  createRequest(target, type, payload = {}) {
+    const problem = this.getDefinition(target, type)
+      ? this.checkFields(payload, this.getDefinition(target, type).request)
+      : `unknown ${target} message type ${type}`;
+    if (problem) {
+      throw this.createError(this.errorCodes.INVALID_REQUEST, problem);
+    }
+
+    return {
+      protocol: this.version,
+      type,
+      requestId: crypto.randomUUID(),
+      payload
+    };
+  }
+
+  validateRequest(target, message) {
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string' ||
+        typeof message.requestId !== 'string') {
+      return { code: this.errorCodes.INVALID_REQUEST, message: 'Malformed message' };
+    }
+    if (message.protocol !== this.version) {
+      return { code: this.errorCodes.UNSUPPORTED_VERSION, message: `Protocol version ${this.version} required` };
+    }
+
+    const definition = this.getDefinition(target, message.type);
+    if (!definition) {
+      return { code: this.errorCodes.UNKNOWN_TYPE, message: 'Unknown message type' };
+    }
+
+    const problem = this.checkFields(message.payload, definition.request);
+    return problem ? { code: this.errorCodes.INVALID_REQUEST, message: problem } : null;
+  }
+
+  success(request, data = {}) {
+    return {
+      protocol: this.version,
+      type: request?.type,
+      requestId: request?.requestId,
+      ok: true,
+      data
+    };
+  }
+
+  failure(request, code, message) {
+    return {
+      protocol: this.version,
+      type: request?.type,
+      requestId: request?.requestId,
+      ok: false,
+      error: { code: code || this.errorCodes.INTERNAL_ERROR, message: message || 'Internal error' }
+    };
+  }
+
+  validateResponse(target, request, response) {
+    if (!response || typeof response !== 'object' || response.protocol !== this.version ||
+        response.requestId !== request.requestId || typeof response.ok !== 'boolean') {
+      return 'Response does not match the request';
+    }
+    if (!response.ok) {
+      return response.error && typeof response.error.code === 'string' ? null : 'Malformed error response';
+    }
+    return this.checkFields(response.data, this.getDefinition(target, request.type).response);
+  }
+
+  async send(type, payload = {}, options = {}) {
+    // A tab id addresses that tab's content script; otherwise the background
+    const target = options.tabId !== undefined ? 'content' : 'background';
+    const request = this.createRequest(target, type, payload);
+
+    const response = target === 'content'
+      ? await chrome.tabs.sendMessage(options.tabId, request)
+      : await chrome.runtime.sendMessage(request);
+
+    const problem = this.validateResponse(target, request, response);
+    if (problem) {
+      throw this.createError(this.errorCodes.INVALID_RESPONSE, `${type}: ${problem}`);
+    }
+    if (!response.ok) {
+      throw this.createError(response.error.code, response.error.message);
+    }
+    return response.data;
+  }
+
+  checkFields(value, spec) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'Payload must be an object';
+    }
+
+    for (const [name, type] of Object.entries(spec)) {
+      const optional = type.endsWith('?');
+      const expected = optional ? type.slice(0, -1) : type;
+      const field = value[name];
+
+      if (field === undefined || field === null) {
+        if (!optional) return `Missing field: ${name}`;
+        continue;
+      }
+
+      const actual = Array.isArray(field) ? 'array' : typeof field;
+      if (actual !== expected) {
+        return `Field ${name} must be ${expected === 'array' || expected === 'object' ? 'an' : 'a'} ${expected}`;
+      }
+    }
+    return null;
+  }
+
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+const messageProtocol = new MessageProtocol();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MessageProtocol
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Monitored Domain Registry
+ *
+ * Single source of truth for the domains the extension is allowed to monitor.
+ * Loaded by the background service worker, the content script, the popup and
+ * the options page so every component reads the same list:
+ * - Stored in chrome.storage.local and editable from the options page
+ * - Cached in memory and kept live through chrome.storage.onChanged
+ * - Each domain covers itself and its subdomains over HTTPS only
+ * - Also answers whether two hosts belong to the same registrable domain
+ */
+
+class MonitoredDomains {
+  constructor() {
+    this.storageKey = 'monitoredDomains';
+    this.defaultDomains = ['example.com'];
+    this.domains = [...this.defaultDomains];
+
+    // Common multi-label public suffixes; everything else is treated as a one-label TLD
+    this.multiLabelSuffixes = [
+      'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz',
+      'co.jp', 'ne.jp', 'or.jp', 'com.br', 'com.cn', 'com.mx', 'co.in', 'co.za',
+      'com.tr', 'com.sg', 'co.kr', 'github.io', 'herokuapp.com', 'cloudfront.net'
+    ];
+    this.listeners = [];
+
+    chrome.storage.onChanged.addListener(this.handleStorageChange.bind(this));
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      if (Array.isArray(result[this.storageKey])) {
+        this.domains = this.sanitizeList(result[this.storageKey]);
+      }
+    } catch (error) {
+      console.error('[SECURE EXTENSION] Failed to load monitored domains:', error);
+    }
+    return this.domains;
+  }
+
+  getDomains() {
+    return [...this.domains];
+  }
+
+  isMonitored(hostname) {
+    if (!hostname) return false;
+
+    const host = hostname.toLowerCase();
+    return this.domains.some(domain =>
+      host === domain || host.endsWith('.' + domain)
+    );
+  }
+
+  isMonitoredUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' && this.isMonitored(parsed.hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  registrableDomain(hostname) {
+    // Offline approximation of eTLD+1, good enough to tell first from third parties
+    const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+    if (/^[\d.]+$/.test(host) || host.includes(':')) return host;
+
+    const labels = host.split('.');
+    const lastTwo = labels.slice(-2).join('.');
+    const suffixLength = this.multiLabelSuffixes.includes(lastTwo) ? 2 : 1;
+    return labels.slice(-(suffixLength + 1)).join('.');
+  }
+
+  isSameSite(hostA, hostB) {
+    return this.registrableDomain(hostA) === this.registrableDomain(hostB);
+  }
+
+  normalizeDomain(input) {
+    if (typeof input !== 'string') return null;
+
+    let candidate = input.trim().toLowerCase();
+    if (!candidate) return null;
+
+    // Accept pasted URLs as well as bare hostnames
+    if (!/^[a-z][a-z0-9+.-]*:\/\//.test(candidate)) {
+      candidate = 'https://' + candidate;
+    }
+
+    let hostname;
+    try {
+      // The URL parser also converts internationalized names to punycode
+      hostname = new URL(candidate).hostname;
+    } catch (error) {
+      return null;
+    }
+
+    hostname = hostname.replace(/^\*\./, '').replace(/\.$/, '');
+
+    const labels = hostname.split('.');
+    const validLabel = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+    if (labels.length < 2 || hostname.length > 253 || !labels.every(label => validLabel.test(label))) {
+      return null;
+    }
+
+    return hostname;
+  }
+
+  toMatchPattern(domain) {
+    // "*." also matches the bare domain itself
+    return `https://*.${domain}/*`;
+  }
+
+  async addDomain(input) {
+    const domain = this.normalizeDomain(input);
+    if (!domain) {
+      throw new Error(`Invalid domain: ${input}`);
+    }
+
+    await this.ready;
+    if (!this.domains.includes(domain)) {
+      await this.save([...this.domains, domain]);
+    }
+    return domain;
+  }
+
+  async removeDomain(domain) {
+    await this.ready;
+    await this.save(this.domains.filter(existing => existing !== domain));
+  }
+
+  async save(domains) {
+    this.domains = this.sanitizeList(domains);
+    await chrome.storage.local.set({ [this.storageKey]: this.domains });
+  }
+
+  sanitizeList(domains) {
+    const normalized = domains
+      .map(domain => this.normalizeDomain(domain))
+      .filter(Boolean);
+    return [...new Set(normalized)];
+  }
+
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  handleStorageChange(changes, areaName) {
+    if (areaName !== 'local' || !changes[this.storageKey]) return;
+
+    const newValue = changes[this.storageKey].newValue;
+    this.domains = Array.isArray(newValue)
+      ? this.sanitizeList(newValue)
+      : [...this.defaultDomains];
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.getDomains());
+      } catch (error) {
+        console.error('[SECURE EXTENSION] Monitored domain listener failed:', error);
+      }
+    });
+  }
+}
+
+const monitoredDomains = new MonitoredDomains();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MonitoredDomains
+  };
+}
@@ -0,0 +1,328 @@
+/**
+ * Secure Options Script
+ *
+ * This options page implements security-first principles:
+ * - The user decides which domains the extension may monitor
+ * - Host access is requested per domain, only when a domain is added
+ * - Access is released again when a domain is removed
+ * - Remembered storage consent decisions can be reviewed and revoked
+ * - Storage encryption can be bound to a passphrase, unlocked and rotated
+ * - Lookalike site warnings on every site are opt-in, with access released when turned off
+ */
+
+class SecureOptionsManager {
+  constructor() {
+    this.consentDecisionsKey = 'consentDecisions';
+    this.allSitesPattern = 'https://*/*';
+    this.lookalikeEnabled = false;
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      await monitoredDomains.ready;
+
+      this.setupEventListeners();
+      await this.renderDomains();
+      await this.renderConsents();
+      await this.renderEncryptionStatus();
+      await this.renderLookalikeStatus();
+
+      // Reflect changes made from other extension pages
+      monitoredDomains.onChange(() => this.renderDomains());
+      chrome.permissions.onAdded.addListener(() => {
+        this.renderDomains();
+        this.renderLookalikeStatus();
+      });
+      chrome.permissions.onRemoved.addListener(() => {
+        this.renderDomains();
+        this.renderLookalikeStatus();
+      });
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[this.consentDecisionsKey]) {
+          this.renderConsents();
+        }
+      });
+    } catch (error) {
+      this.showError('Failed to load options: ' + error.message);
+    }
+  }
+
+  setupEventListeners() {
+    document.getElementById('add-domain-form').addEventListener('submit',
+      this.handleAddDomain.bind(this));
+
+    document.getElementById('passphrase-form').addEventListener('submit',
+      this.handlePassphraseCommand.bind(this, 'SET_STORAGE_PASSPHRASE', 'passphrase-input'));
+
+    document.getElementById('unlock-form').addEventListener('submit',
+      this.handlePassphraseCommand.bind(this, 'UNLOCK_STORAGE', 'unlock-input'));
+
+    document.getElementById('rotate-key-btn').addEventListener('click',
+      this.handleRotateKey.bind(this));
+
+    document.getElementById('lookalike-toggle-btn').addEventListener('click',
+      this.handleLookalikeToggle.bind(this));
+  }
+
+  async handleAddDomain(event) {
+    event.preventDefault();
+
+    const input = document.getElementById('domain-input');
+    const domain = monitoredDomains.normalizeDomain(input.value);
+
+    if (!domain) {
+      this.showError(`"${input.value}" is not a valid domain name`);
+      return;
+    }
+
+    try {
+      // Must be the first await so the request still counts as a user gesture
+      const granted = await this.requestAccess(domain);
+      if (!granted) {
+        this.showError(`Access to ${domain} was not granted`);
+        return;
+      }
+
+      await monitoredDomains.addDomain(domain);
+      input.value = '';
+      await this.renderDomains();
+    } catch (error) {
+      this.showError('Failed to add domain: ' + error.message);
+    }
+  }
+
+  async handleRemoveDomain(domain) {
+    if (!confirm(`Stop monitoring ${domain}?`)) {
+      return;
+    }
+
+    try {
+      await monitoredDomains.removeDomain(domain);
+
+      try {
+        await chrome.permissions.remove({
+          origins: [monitoredDomains.toMatchPattern(domain)]
+        });
+      } catch (error) {
+        // Access declared in the manifest cannot be released at runtime; the domain is still removed
+      }
+
+      await this.renderDomains();
+    } catch (error) {
+      this.showError('Failed to remove domain: ' + error.message);
+    }
+  }
+
+  requestAccess(domain) {
+    return chrome.permissions.request({
+      origins: [monitoredDomains.toMatchPattern(domain)]
+    });
+  }
+
+  async hasAccess(domain) {
+    return chrome.permissions.contains({
+      origins: [monitoredDomains.toMatchPattern(domain)]
+    });
+  }
+
+  async renderDomains() {
+    const container = document.getElementById('domain-list');
+    const domains = monitoredDomains.getDomains();
+
+    if (domains.length === 0) {
+      container.innerHTML = '<div class="empty">No domains are monitored</div>';
+      return;
+    }
+
+    const rows = await Promise.all(domains.map(async (domain) =>
+      this.createDomainRow(domain, await this.hasAccess(domain))
+    ));
+
+    container.replaceChildren(...rows);
+  }
+
+  createDomainRow(domain, granted) {
+    const row = document.createElement('div');
+    row.className = 'domain-row';
+
+    const name = document.createElement('span');
+    name.className = 'domain-name';
+    name.textContent = domain;
+    row.appendChild(name);
+
+    const access = document.createElement('span');
+    access.className = granted ? 'domain-access granted' : 'domain-access';
+    access.textContent = granted ? 'Access granted' : 'Access not granted';
+    row.appendChild(access);
+
+    if (!granted) {
+      const grantButton = document.createElement('button');
+      grantButton.className = 'button button-secondary';
+      grantButton.textContent = 'Grant';
+      grantButton.addEventListener('click', async () => {
+        try {
+          await this.requestAccess(domain);
+          await this.renderDomains();
+        } catch (error) {
+          this.showError('Failed to request access: ' + error.message);
+        }
+      });
+      row.appendChild(grantButton);
+    }
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'button button-danger';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => this.handleRemoveDomain(domain));
+    row.appendChild(removeButton);
+
+    return row;
+  }
+
+  async getConsentDecisions() {
+    const result = await chrome.storage.local.get([this.consentDecisionsKey]);
+    return result[this.consentDecisionsKey] || {};
+  }
+
+  async handleRevokeConsent(key) {
+    try {
+      const decisions = await this.getConsentDecisions();
+      delete decisions[key];
+      await chrome.storage.local.set({ [this.consentDecisionsKey]: decisions });
+      await this.renderConsents();
+    } catch (error) {
+      this.showError('Failed to revoke consent: ' + error.message);
+    }
+  }
+
+  async renderConsents() {
+    const container = document.getElementById('consent-list');
+    const decisions = await this.getConsentDecisions();
+    const keys = Object.keys(decisions);
+
+    if (keys.length === 0) {
+      container.innerHTML = '<div class="empty">No remembered consent decisions</div>';
+      return;
+    }
+
+    container.replaceChildren(...keys.map(key => this.createConsentRow(key, decisions[key])));
+  }
+
+  createConsentRow(key, entry) {
+    const row = document.createElement('div');
+    row.className = 'domain-row';
+
+    const name = document.createElement('span');
+    name.className = 'domain-name';
+    name.textContent = key;
+    row.appendChild(name);
+
+    const allowed = entry.decision === 'allow';
+    const status = document.createElement('span');
+    status.className = allowed ? 'domain-access granted' : 'domain-access denied';
+    status.textContent = `${allowed ? 'Always allow' : 'Always deny'} since ${new Date(entry.decidedAt).toLocaleDateString()}`;
+    row.appendChild(status);
+
+    const revokeButton = document.createElement('button');
+    revokeButton.className = 'button button-danger';
+    revokeButton.textContent = 'Revoke';
+    revokeButton.addEventListener('click', () => this.handleRevokeConsent(key));
+    row.appendChild(revokeButton);
+
+    return row;
+  }
+
+  async handlePassphraseCommand(type, inputId, event) {
+    event.preventDefault();
+
+    const input = document.getElementById(inputId);
+    try {
+      await messageProtocol.send(type, { passphrase: input.value });
+      input.value = '';
+      await this.renderEncryptionStatus();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  async handleRotateKey() {
+    if (!confirm('Re-encrypt all stored data with a new key?')) {
+      return;
+    }
+
+    try {
+      await messageProtocol.send('ROTATE_ENCRYPTION_KEY');
+      await this.renderEncryptionStatus();
+    } catch (error) {
+      this.showError('Failed to rotate key: ' + error.message);
+    }
+  }
+
+  async renderEncryptionStatus() {
+    const status = document.getElementById('encryption-status');
+
+    try {
+      const { encryption } = await messageProtocol.send('GET_ENCRYPTION_STATUS');
+      const usesPassphrase = encryption.mode === 'passphrase';
+
+      status.textContent = usesPassphrase
+        ? `Passphrase key${encryption.locked ? ' (locked)' : ''}`
+        : 'Device key';
+      if (encryption.unreadable.length > 0) {
+        const keys = [...new Set(encryption.unreadable.map(entry => entry.key))].join(', ');
+        status.textContent += ` (unreadable data kept: ${keys})`;
+      }
+      document.getElementById('unlock-form').style.display = encryption.locked ? 'flex' : 'none';
+      document.getElementById('rotate-key-btn').disabled = usesPassphrase;
+    } catch (error) {
+      status.textContent = 'Unavailable';
+      this.showError('Failed to load encryption status: ' + error.message);
+    }
+  }
+
+  async handleLookalikeToggle() {
+    const origins = [this.allSitesPattern];
+
+    try {
+      // Decided from cached state: the request must be the first await to keep the user gesture.
+      // The background registers or removes the guard when the permission changes.
+      if (this.lookalikeEnabled) {
+        await chrome.permissions.remove({ origins });
+      } else if (!await chrome.permissions.request({ origins })) {
+        this.showError('Access to all sites was not granted');
+      }
+      await this.renderLookalikeStatus();
+    } catch (error) {
+      this.showError('Failed to change lookalike warnings: ' + error.message);
+    }
+  }
+
+  async renderLookalikeStatus() {
+    const enabled = await chrome.permissions.contains({ origins: [this.allSitesPattern] });
+    this.lookalikeEnabled = enabled;
+    document.getElementById('lookalike-status').textContent = enabled
+      ? 'On for every HTTPS site'
+      : 'Current tab only, when you open the popup';
+    document.getElementById('lookalike-toggle-btn').textContent = enabled
+      ? 'Turn Off'
+      : 'Warn on Every Site';
+  }
+
+  showError(message) {
+    const errorContainer = document.getElementById('error-container');
+    const error = document.createElement('div');
+    error.className = 'error';
+    error.textContent = message;
+    errorContainer.replaceChildren(error);
+    setTimeout(() => {
+      errorContainer.innerHTML = '';
+    }, 5000);
+  }
+}
+
+// Initialize the options page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new SecureOptionsManager();
+});
@@ -0,0 +1,190 @@
+/**
+ * In-Page Warnings
+ *
+ * Shows security warnings on top of a page, loaded into the content script
+ * ahead of content-secure.js and into the lookalike guard:
+ * - Rendered in a closed shadow root so page styles and scripts cannot reach it
+ * - Text only; nothing from the page is ever inserted as markup
+ * - Each warning is shown once per page and can be dismissed
+ * - Confirmations block the page with a modal until the user decides
+ */
+
+class PageWarnings {
+  constructor() {
+    this.host = null;
+    this.container = null;
+    this.shown = new Set();
+    this.dialogHost = null;
+  }
+
+  show({ id, title, message, severity = 'high' }) {
+    if (this.shown.has(id)) return;
+    this.shown.add(id);
+
+    this.mount();
+
+    const warning = document.createElement('div');
+    warning.className = `warning ${severity}`;
+    warning.setAttribute('role', 'alert');
+
+    const heading = document.createElement('strong');
+    heading.textContent = title;
+
+    const text = document.createElement('p');
+    text.textContent = message;
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.textContent = 'Dismiss';
+    dismiss.addEventListener('click', () => {
+      warning.remove();
+      if (this.container.childElementCount === 0) {
+        this.unmount();
+      }
+    });
+
+    warning.append(heading, text, dismiss);
+    this.container.appendChild(warning);
+  }
+
+  mount() {
+    if (this.host && this.host.isConnected) return;
+
+    this.host = document.createElement('div');
+    const shadow = this.host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = `
+      :host { all: initial; }
+      .stack {
+        position: fixed; top: 12px; right: 12px; z-index: 2147483647;
+        display: flex; flex-direction: column; gap: 8px; max-width: 360px;
+        font: 13px/1.4 system-ui, sans-serif;
+      }
+      .warning {
+        background: #fff; color: #202124; border-left: 4px solid #d93025;
+        border-radius: 4px; padding: 10px 12px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+      }
+      .warning.medium { border-left-color: #f29900; }
+      p { margin: 4px 0 8px; }
+      button { font: inherit; cursor: pointer; }
+    `;
+
+    this.container = document.createElement('div');
+    this.container.className = 'stack';
+    shadow.append(style, this.container);
+
+    (document.body || document.documentElement).appendChild(this.host);
+  }
+
+  confirm({ title, message, items = [], proceedLabel = 'Continue anyway', cancelLabel = 'Cancel' }) {
+    // One decision at a time; a second request while one is open counts as cancelled
+    if (this.dialogHost && this.dialogHost.isConnected) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise(resolve => {
+      // Kept locally: this.dialogHost belongs to whichever dialog is open by the time this one ends
+      const host = document.createElement('div');
+      this.dialogHost = host;
+      const shadow = host.attachShadow({ mode: 'closed' });
+
+      const style = document.createElement('style');
+      style.textContent = `
+        :host { all: initial; }
+        .backdrop {
+          position: fixed; inset: 0; z-index: 2147483647;
+          display: flex; align-items: center; justify-content: center;
+          background: rgba(0, 0, 0, 0.55); font: 14px/1.4 system-ui, sans-serif;
+        }
+        .dialog {
+          background: #fff; color: #202124; border-top: 4px solid #d93025;
+          border-radius: 6px; padding: 16px 20px; max-width: 440px;
+          box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+        }
+        h2 { font-size: 16px; margin: 0 0 8px; }
+        p { margin: 0 0 8px; }
+        ul { margin: 0 0 12px; padding-left: 20px; }
+        .actions { display: flex; justify-content: flex-end; gap: 8px; }
+        button { font: inherit; cursor: pointer; padding: 6px 12px; border-radius: 4px; border: 1px solid #dadce0; background: #fff; }
+        button.cancel { background: #1a73e8; border-color: #1a73e8; color: #fff; }
+      `;
+
+      const dialog = document.createElement('div');
+      dialog.className = 'dialog';
+      dialog.setAttribute('role', 'alertdialog');
+
+      const heading = document.createElement('h2');
+      heading.textContent = title;
+
+      const text = document.createElement('p');
+      text.textContent = message;
+
+      const list = document.createElement('ul');
+      items.forEach(item => {
+        const entry = document.createElement('li');
+        entry.textContent = item;
+        list.appendChild(entry);
+      });
+
+      let removalObserver = null;
+      const finish = (proceed) => {
+        if (removalObserver) removalObserver.disconnect();
+        if (host.isConnected) host.remove();
+        if (this.dialogHost === host) this.dialogHost = null;
+        resolve(proceed);
+      };
+
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.className = 'cancel';
+      cancel.textContent = cancelLabel;
+      cancel.addEventListener('click', () => finish(false));
+
+      // Only a real click proceeds; the page cannot reach into the closed root, but be certain
+      const proceed = document.createElement('button');
+      proceed.type = 'button';
+      proceed.textContent = proceedLabel;
+      proceed.addEventListener('click', (event) => {
+        if (event.isTrusted) finish(true);
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'actions';
+      actions.append(proceed, cancel);
+
+      dialog.append(heading, text, ...(items.length > 0 ? [list] : []), actions);
+
+      const backdrop = document.createElement('div');
+      backdrop.className = 'backdrop';
+      backdrop.appendChild(dialog);
+      shadow.append(style, backdrop);
+
+      (document.body || document.documentElement).appendChild(host);
+      cancel.focus();
+
+      // The page can remove the dialog, directly or with its ancestors; that counts as cancelled
+      removalObserver = new MutationObserver(() => {
+        if (!host.isConnected) finish(false);
+      });
+      removalObserver.observe(document, { childList: true, subtree: true });
+    });
+  }
+
+  unmount() {
+    if (this.host) {
+      this.host.remove();
+    }
+    this.host = null;
+    this.container = null;
+  }
+}
+
+const pageWarnings = new PageWarnings();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PageWarnings
+  };
+}
@@ -11,6 +11,10 @@
 class SecurePopupManager {
   constructor() {
     this.currentTab = null;
+    this.scriptInventory = null;
+    this.lastScan = null;
+    this.baseline = null;
+    this.redactionLevel = null;
     this.extensionStatus = {
       healthy: false,
       domain: null,
@@ -32,6 +36,9 @@ class SecurePopupManager {
       // Setup event listeners
       this.setupEventListeners();
       
+      // Open straight to this tab's latest scan
+      await this.loadCachedScan();
+
       // Load audit logs
       await this.loadAuditLogs();
       
@@ -61,11 +68,9 @@ class SecurePopupManager {
   async loadExtensionStatus() {
     try {
       // Check background script health
-      const healthResponse = await chrome.runtime.sendMessage({
-        type: 'HEALTH_CHECK'
-      });
+      const healthResponse = await messageProtocol.send('HEALTH_CHECK');
 
-      if (healthResponse && healthResponse.status === 'healthy') {
+      if (healthResponse.status === 'healthy') {
         this.extensionStatus.healthy = true;
         document.getElementById('extension-status').textContent = 'Active';
         
@@ -79,12 +84,7 @@ class SecurePopupManager {
       }
 
       // Check if current domain is allowed
-      if (this.currentTab && this.currentTab.url) {
-        const url = new URL(this.currentTab.url);
-        const isAllowed = await this.checkDomainAllowed(url.hostname);
-        document.getElementById('domain-allowed').textContent = isAllowed ? 'Yes' : 'No';
-        this.extensionStatus.allowed = isAllowed;
-      }
+      await this.refreshDomainStatus();
 
       // Load privacy settings
       await this.loadPrivacySettings();
@@ -97,26 +97,73 @@ class SecurePopupManager {
   }
 
   async checkDomainAllowed(hostname) {
-    // Check against allowed domains (should match content script configuration)
-    const allowedDomains = ['example.com'];
-    return allowedDomains.some(domain => 
-      hostname === domain || hostname.endsWith('.' + domain)
-    );
+    await monitoredDomains.ready;
+    return monitoredDomains.isMonitored(hostname);
+  }
+
+  async refreshDomainStatus() {
+    if (!this.currentTab || !this.currentTab.url) return;
+
+    const url = new URL(this.currentTab.url);
+    const isAllowed = await this.checkDomainAllowed(url.hostname);
+    document.getElementById('domain-allowed').textContent = isAllowed ? 'Yes' : 'No';
+    this.extensionStatus.allowed = isAllowed;
+
+    await this.checkLookalike(url.hostname);
+  }
+
+  async checkLookalike(hostname) {
+    const warning = document.getElementById('lookalike-warning');
+    const result = this.extensionStatus.allowed
+      ? null
+      : lookalikeDetector.check(hostname, monitoredDomains.getDomains());
+
+    if (!result) {
+      warning.style.display = 'none';
+      return;
+    }
+
+    const title = document.createElement('strong');
+    title.textContent = 'Possible lookalike site: ';
+    warning.replaceChildren(title, lookalikeDetector.describe(result));
+    warning.style.display = 'block';
+
+    // With access to every site the registered guard already runs; otherwise opening
+    // the popup grants access to this tab, enough to warn on the page itself
+    if (!await chrome.permissions.contains({ origins: ['https://*/*'] })) {
+      await this.injectLookalikeGuard();
+    }
+  }
+
+  async injectLookalikeGuard() {
+    const target = { tabId: this.currentTab.id };
+
+    try {
+      // Injected scripts share one isolated world per page, so an earlier open left the guard behind
+      const [probe] = await chrome.scripting.executeScript({
+        target,
+        func: () => typeof lookalikeGuard !== 'undefined'
+      });
+      if (probe?.result) return;
+
+      await chrome.scripting.executeScript({
+        target,
+        files: ['monitored-domains.js', 'lookalike-detector.js', 'page-warnings.js', 'lookalike-guard.js']
+      });
+    } catch (error) {
+      // A page the browser does not let extensions touch; the popup warning still stands
+    }
   }
 
   async loadPrivacySettings() {
     try {
-      // In a real implementation, these would be loaded from storage
-      // For now, we'll use default secure settings
-      const settings = {
-        auditingEnabled: true,
-        strictMode: true,
-        consentRequired: true
-      };
+      const { settings } = await messageProtocol.send('GET_SETTINGS');
 
       document.getElementById('audit-toggle').checked = settings.auditingEnabled;
       document.getElementById('strict-toggle').checked = settings.strictMode;
       document.getElementById('consent-toggle').checked = settings.consentRequired;
+      document.getElementById('redaction-level').value = settings.redactionLevel;
+      this.redactionLevel = settings.redactionLevel;
 
     } catch (error) {
       console.error('Failed to load privacy settings:', error);
@@ -132,6 +179,22 @@ class SecurePopupManager {
     document.getElementById('security-scan-btn').addEventListener('click', 
       this.performSecurityScan.bind(this));
 
+    // Script inventory buttons
+    document.getElementById('script-inventory-btn').addEventListener('click',
+      this.loadScriptInventory.bind(this));
+
+    document.getElementById('verify-sri-btn').addEventListener('click',
+      this.verifyScriptIntegrity.bind(this));
+
+    document.getElementById('export-inventory-btn').addEventListener('click',
+      this.exportScriptInventory.bind(this));
+
+    document.getElementById('accept-baseline-btn').addEventListener('click',
+      this.acceptBaselineChange.bind(this));
+
+    document.getElementById('cookie-audit-btn').addEventListener('click',
+      this.enableCookieAudit.bind(this));
+
     // Export logs button
     document.getElementById('export-logs-btn').addEventListener('click', 
       this.exportAuditLogs.bind(this));
@@ -140,6 +203,22 @@ class SecurePopupManager {
     document.getElementById('clear-logs-btn').addEventListener('click', 
       this.clearAuditLogs.bind(this));
 
+    // Hash chain verification
+    document.getElementById('verify-log-btn').addEventListener('click',
+      this.verifyLogIntegrity.bind(this));
+
+    // Full-page log explorer
+    document.getElementById('open-log-explorer-btn').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('audit-log-secure.html') });
+    });
+
+    // Monitored domains management
+    document.getElementById('manage-domains-btn').addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+
+    monitoredDomains.onChange(() => this.refreshDomainStatus());
+
     // Privacy toggles
     document.getElementById('audit-toggle').addEventListener('change', 
       this.updatePrivacySetting.bind(this, 'auditingEnabled'));
@@ -149,6 +228,9 @@ class SecurePopupManager {
     
     document.getElementById('consent-toggle').addEventListener('change', 
       this.updatePrivacySetting.bind(this, 'consentRequired'));
+
+    document.getElementById('redaction-level').addEventListener('change',
+      this.updateRedactionLevel.bind(this));
   }
 
   async performHealthCheck() {
@@ -160,17 +242,13 @@ class SecurePopupManager {
       button.textContent = 'Running...';
 
       // Check background script
-      const backgroundHealth = await chrome.runtime.sendMessage({
-        type: 'HEALTH_CHECK'
-      });
+      const backgroundHealth = await messageProtocol.send('HEALTH_CHECK');
 
       // Check content script (if on allowed domain)
       let contentScriptHealth = null;
       if (this.currentTab && this.extensionStatus.allowed) {
         try {
-          contentScriptHealth = await chrome.tabs.sendMessage(this.currentTab.id, {
-            type: 'HEALTH_CHECK'
-          });
+          contentScriptHealth = await this.sendToContentScript('HEALTH_CHECK');
         } catch (error) {
           console.log('Content script not available on this page');
         }
@@ -178,8 +256,9 @@ class SecurePopupManager {
 
       // Show results
       const results = {
-        backgroundScript: backgroundHealth?.status === 'healthy',
-        contentScript: contentScriptHealth?.success || false,
+        backgroundScript: backgroundHealth.status === 'healthy',
+        contentScript: contentScriptHealth?.initialized || false,
+        throttledMessages: backgroundHealth.rateLimiting.throttled || 0,
         permissions: await this.checkPermissions(),
         timestamp: new Date().toISOString()
       };
@@ -207,15 +286,9 @@ class SecurePopupManager {
         throw new Error('Security scan only available on allowed domains');
       }
 
-      const scanResults = await chrome.tabs.sendMessage(this.currentTab.id, {
-        type: 'SECURITY_SCAN'
-      });
-
-      if (scanResults.success) {
-        this.showSecurityScanResults(scanResults.data);
-      } else {
-        throw new Error(scanResults.error || 'Security scan failed');
-      }
+      // The background runs the scan so the toolbar badge and its cache stay in step
+      const { scan } = await messageProtocol.send('SCAN_TAB', { tabId: this.currentTab.id });
+      this.showScan(scan);
 
     } catch (error) {
       this.showError('Security scan failed: ' + error.message);
@@ -225,50 +298,261 @@ class SecurePopupManager {
     }
   }
 
-  async exportAuditLogs() {
+  async loadCachedScan() {
+    if (!this.currentTab || !this.extensionStatus.allowed) return;
+
     try {
-      const response = await chrome.runtime.sendMessage({
-        type: 'GET_AUDIT_LOG'
-      });
+      // Monitored pages are scanned when they finish loading
+      const { scan } = await messageProtocol.send('GET_TAB_SCAN', { tabId: this.currentTab.id });
+      if (scan) {
+        this.showScan(scan);
+      }
+    } catch (error) {
+      console.error('Failed to load cached scan:', error);
+    }
+  }
 
-      if (response && response.logs) {
-        const logData = JSON.stringify(response.logs, null, 2);
-        const blob = new Blob([logData], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `extension-audit-log-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-
-        this.showSuccess('Audit logs exported successfully');
+  showScan(scan) {
+    this.lastScan = scan.results;
+    const sarifOption = document.querySelector('#export-format option[value="sarif"]');
+    sarifOption.disabled = false;
+    sarifOption.textContent = 'SARIF (scan findings)';
+
+    document.getElementById('scan-meta').textContent =
+      `${scan.trigger === 'navigation' ? 'Scanned automatically' : 'Scanned'} at ${new Date(scan.scannedAt).toLocaleTimeString()}`;
+    this.showSecurityScanResults(scan.results);
+    this.showBaseline(scan.baseline);
+  }
+
+  showBaseline(baseline) {
+    this.baseline = baseline;
+    const notice = document.getElementById('baseline-notice');
+    if (!baseline || baseline.changes.length === 0) {
+      notice.style.display = 'none';
+      return;
+    }
+
+    // Change messages name page-supplied hosts, so they go in as text
+    document.getElementById('baseline-changes').replaceChildren(...baseline.changes.map(change => {
+      const item = document.createElement('li');
+      const severity = document.createElement('span');
+      severity.className = `severity severity-${change.severity}`;
+      severity.textContent = change.severity;
+      item.append(severity, change.message);
+      return item;
+    }));
+    notice.style.display = 'block';
+  }
+
+  async acceptBaselineChange() {
+    if (!this.baseline) return;
+
+    const button = document.getElementById('accept-baseline-btn');
+    try {
+      button.disabled = true;
+      const { baseline } = await messageProtocol.send('ACCEPT_BASELINE_CHANGE', { origin: this.baseline.origin });
+      this.showBaseline(baseline);
+      this.showSuccess('Changes accepted into the baseline');
+    } catch (error) {
+      this.showError('Failed to accept changes: ' + error.message);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async exportAuditLogs() {
+    const format = document.getElementById('export-format').value;
+
+    try {
+      let result;
+      if (format === 'sarif') {
+        if (!this.lastScan) {
+          throw new Error('Run a security scan first');
+        }
+        const page = new URL(this.currentTab.url);
+        result = await auditExporter.exportScan(this.lastScan, page.origin + page.pathname);
       } else {
-        throw new Error('No audit logs available');
+        const response = await messageProtocol.send('GET_AUDIT_LOG');
+        result = await auditExporter.exportAuditLog(response.logs, format, this.readExportFilters(),
+          response.chain, this.redactionLevel || logRedactor.defaultLevel);
       }
+
+      // The manifest travels as a sidecar so the export itself stays in its native format
+      this.downloadFile(result.content, result.filename, result.mimeType);
+      this.downloadFile(JSON.stringify(result.manifest, null, 2), `${result.filename}.manifest.json`,
+        'application/json');
+
+      this.showSuccess(`Exported ${result.manifest.entryCount} entries as ${format.toUpperCase()}`);
     } catch (error) {
       this.showError('Failed to export logs: ' + error.message);
     }
   }
 
+  async verifyLogIntegrity() {
+    const button = document.getElementById('verify-log-btn');
+    const status = document.getElementById('log-integrity-status');
+
+    try {
+      button.disabled = true;
+      status.textContent = 'Verifying...';
+
+      const { integrity } = await messageProtocol.send('VERIFY_AUDIT_LOG');
+      const { valid, checked, firstBroken } = integrity;
+      status.className = `scan-summary ${valid ? 'integrity-valid' : 'integrity-broken'}`;
+      status.textContent = valid
+        ? `Log intact: ${checked} entries verified`
+        : `Broken at entry #${firstBroken.seq ?? firstBroken.index} (${firstBroken.action}, ` +
+          `${new Date(firstBroken.timestamp).toLocaleString()}): ${firstBroken.reason.replace(/_/g, ' ')}`;
+
+      await this.loadAuditLogs();
+    } catch (error) {
+      status.textContent = '';
+      this.showError('Integrity check failed: ' + error.message);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  readExportFilters() {
+    const from = document.getElementById('export-from').value;
+    const to = document.getElementById('export-to').value;
+
+    // Date inputs are whole local days; "to" includes the entire day
+    return {
+      from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+      to: to ? new Date(`${to}T23:59:59.999`).getTime() : null,
+      minSeverity: document.getElementById('export-severity').value
+    };
+  }
+
+  downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  async loadScriptInventory() {
+    const button = document.getElementById('script-inventory-btn');
+    const originalText = button.textContent;
+
+    try {
+      button.disabled = true;
+      button.textContent = 'Collecting...';
+
+      const inventory = await this.sendToContentScript('GET_SCRIPT_INVENTORY');
+      this.scriptInventory = { inventory, integrity: null };
+      this.showScriptInventory();
+    } catch (error) {
+      this.showError('Script inventory failed: ' + error.message);
+    } finally {
+      button.disabled = false;
+      button.textContent = originalText;
+    }
+  }
+
+  async verifyScriptIntegrity() {
+    const button = document.getElementById('verify-sri-btn');
+    const originalText = button.textContent;
+
+    try {
+      button.disabled = true;
+      button.textContent = 'Verifying...';
+
+      this.scriptInventory.integrity = await this.sendToContentScript('VERIFY_SCRIPT_INTEGRITY');
+      this.showScriptInventory();
+    } catch (error) {
+      this.showError('Integrity verification failed: ' + error.message);
+    } finally {
+      button.disabled = false;
+      button.textContent = originalText;
+    }
+  }
+
+  exportScriptInventory() {
+    if (!this.scriptInventory) return;
+
+    const host = this.currentTab ? new URL(this.currentTab.url).hostname : 'page';
+    this.downloadFile(JSON.stringify(this.scriptInventory, null, 2),
+      `script-inventory-${host}-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+    this.showSuccess('Script inventory exported successfully');
+  }
+
+  async sendToContentScript(type, payload = {}) {
+    if (!this.currentTab || !this.extensionStatus.allowed) {
+      throw new Error('Only available on monitored domains');
+    }
+
+    try {
+      return await messageProtocol.send(type, payload, { tabId: this.currentTab.id });
+    } catch (error) {
+      // Without a receiving end the browser rejects before any response exists
+      throw error.code ? error : new Error('Content script not available on this page');
+    }
+  }
+
+  showScriptInventory() {
+    const { inventory, integrity } = this.scriptInventory;
+    const statusBySrc = new Map((integrity ? integrity.results : []).map(result => [result.src, result]));
+
+    document.getElementById('inventory-summary').textContent =
+      `${inventory.total} scripts · ${inventory.thirdParty} third-party · ${inventory.withoutIntegrity} external without SRI` +
+      (integrity ? ` · ${integrity.verified} verified, ${integrity.mismatched} mismatched` : '');
+
+    const groups = inventory.groups.map(group => {
+      const details = document.createElement('details');
+      details.className = 'finding';
+
+      const summary = document.createElement('summary');
+      const party = document.createElement('span');
+      party.className = `severity ${group.party === 'third' ? 'severity-medium' : 'severity-info'}`;
+      party.textContent = group.party === 'third' ? '3rd party' : '1st party';
+      summary.append(party, `${group.origin} (${group.scripts.length})`);
+      details.appendChild(summary);
+
+      const list = document.createElement('ul');
+      group.scripts.forEach(script => {
+        const item = document.createElement('li');
+        const flags = [
+          script.module ? 'module' : null,
+          script.dynamic ? 'injected' : null,
+          script.inDocument ? null : 'removed',
+          script.kind === 'external' ? (script.integrity ? 'SRI' : 'no SRI') : null,
+          statusBySrc.get(script.src)?.status
+        ].filter(Boolean);
+
+        const label = script.kind === 'inline'
+          ? `inline (${script.length} chars, sha256-${script.sha256})`
+          : script.src;
+        item.textContent = flags.length > 0 ? `${label} [${flags.join(', ')}]` : label;
+        list.appendChild(item);
+      });
+      details.appendChild(list);
+
+      return details;
+    });
+
+    document.getElementById('inventory-groups').replaceChildren(...groups);
+    document.getElementById('verify-sri-btn').disabled = false;
+    document.getElementById('export-inventory-btn').disabled = false;
+    document.getElementById('inventory-section').style.display = 'block';
+  }
+
   async clearAuditLogs() {
     if (!confirm('Are you sure you want to clear all audit logs? This action cannot be undone.')) {
       return;
     }
 
     try {
-      const response = await chrome.runtime.sendMessage({
-        type: 'CLEAR_AUDIT_LOG'
-      });
-
-      if (response && response.success) {
-        await this.loadAuditLogs(); // Refresh the display
-        this.showSuccess('Audit logs cleared successfully');
-      } else {
-        throw new Error('Failed to clear audit logs');
-      }
+      await messageProtocol.send('CLEAR_AUDIT_LOG');
+      await this.loadAuditLogs(); // Refresh the display
+      this.showSuccess('Audit logs cleared successfully');
     } catch (error) {
       this.showError('Failed to clear logs: ' + error.message);
     }
@@ -277,10 +561,10 @@ class SecurePopupManager {
   async updatePrivacySetting(setting, event) {
     try {
       const enabled = event.target.checked;
-      
-      // In a real implementation, this would save to chrome.storage
-      console.log(`Privacy setting ${setting} updated:`, enabled);
-      
+
+      // The background persists the change and pushes it to every tab
+      await messageProtocol.send('UPDATE_SETTINGS', { settings: { [setting]: enabled } });
+
       // Show confirmation
       this.showSuccess(`${setting} ${enabled ? 'enabled' : 'disabled'}`);
       
@@ -291,15 +575,27 @@ class SecurePopupManager {
     }
   }
 
+  async updateRedactionLevel(event) {
+    const level = event.target.value;
+
+    try {
+      // Applies to new entries; older ones are redacted again when exported
+      await messageProtocol.send('UPDATE_SETTINGS', { settings: { redactionLevel: level } });
+      this.redactionLevel = level;
+      this.showSuccess(`Log redaction set to ${level}`);
+    } catch (error) {
+      this.showError('Failed to update log redaction: ' + error.message);
+      event.target.value = this.redactionLevel;
+    }
+  }
+
   async loadAuditLogs() {
     try {
-      const response = await chrome.runtime.sendMessage({
-        type: 'GET_AUDIT_LOG'
-      });
+      const response = await messageProtocol.send('GET_AUDIT_LOG');
 
       const logContainer = document.getElementById('audit-log');
       
-      if (response && response.logs && response.logs.length > 0) {
+      if (response.logs.length > 0) {
         // Show recent logs (last 20)
         const recentLogs = response.logs.slice(-20).reverse();
         
@@ -356,6 +652,7 @@ class SecurePopupManager {
       Health Check Results:
       - Background Script: ${results.backgroundScript ? '✓' : '✗'}
       - Content Script: ${results.contentScript ? '✓' : '✗'}
+      - Throttled Messages: ${results.throttledMessages}
       - Storage Permission: ${results.permissions.storage ? '✓' : '✗'}
       - ActiveTab Permission: ${results.permissions.activeTab ? '✓' : '✗'}
     `;
@@ -364,16 +661,138 @@ class SecurePopupManager {
   }
 
   showSecurityScanResults(results) {
-    const message = `
-      Security Scan Results:
-      - Protocol Secure: ${results.protocolSecure ? '✓' : '✗'}
-      - Has CSP: ${results.hasCSP ? '✓' : '✗'}
-      - Untrusted Scripts: ${results.hasUntrustedScripts ? '⚠️' : '✓'}
-      - Insecure Forms: ${results.hasInsecureForms ? '⚠️' : '✓'}
-      - Sensitive Fields: ${results.hasSensitiveFields ? '⚠️' : '✓'}
-    `;
-    
-    alert(message);
+    const summary = results.summary || {};
+    document.getElementById('scan-score').textContent = `${results.score}/100`;
+    document.getElementById('scan-summary').textContent =
+      ['critical', 'high', 'medium', 'low']
+        .map(severity => `${summary[severity] || 0} ${severity}`)
+        .join(' · ');
+
+    const container = document.getElementById('scan-findings');
+    if (results.findings.length === 0) {
+      container.innerHTML = '<div class="loading">No issues found</div>';
+    } else {
+      container.replaceChildren(...results.findings.map(finding => this.createFindingElement(finding)));
+    }
+
+    this.showHeaderGrades(results.headers);
+    this.showCspDirectives(results.csp);
+    this.showCookieAudit(results.cookies);
+
+    document.getElementById('scan-section').style.display = 'block';
+  }
+
+  showHeaderGrades(grades) {
+    const container = document.getElementById('scan-headers');
+
+    if (!grades) {
+      container.innerHTML = '<div class="loading">Response headers not captured; reload the page to audit them</div>';
+      return;
+    }
+
+    container.replaceChildren(...grades.map(grade => {
+      const row = document.createElement('div');
+      row.className = 'header-grade';
+      row.title = grade.value || '';
+
+      const name = document.createElement('span');
+      name.textContent = grade.name;
+
+      const result = document.createElement('span');
+      result.className = `grade-${grade.grade}`;
+      result.textContent = `${grade.grade} · ${grade.note}`;
+
+      row.append(name, result);
+      return row;
+    }));
+  }
+
+  showCspDirectives(csp) {
+    const container = document.getElementById('scan-csp');
+
+    if (!csp || csp.mode === 'none') {
+      container.replaceChildren();
+      return;
+    }
+
+    const rows = csp.directives.map(directive => {
+      const row = document.createElement('div');
+      row.className = 'csp-directive';
+
+      const name = document.createElement('code');
+      name.textContent = directive.name;
+      row.append(name, ` — ${directive.explanation}`);
+      return row;
+    });
+
+    const heading = document.createElement('div');
+    heading.className = 'scan-summary';
+    heading.textContent = `Content-Security-Policy (${csp.mode}, ${csp.policyCount} polic${csp.policyCount === 1 ? 'y' : 'ies'})`;
+
+    container.replaceChildren(heading, ...rows);
+  }
+
+  showCookieAudit(cookies) {
+    const status = document.getElementById('cookie-status');
+    const button = document.getElementById('cookie-audit-btn');
+
+    if (cookies) {
+      status.textContent = `${cookies.count} cookie${cookies.count === 1 ? '' : 's'} audited (names and attributes only, never values)`;
+      button.style.display = 'none';
+    } else {
+      status.textContent = 'Cookies not audited';
+      button.style.display = 'block';
+    }
+  }
+
+  async enableCookieAudit() {
+    try {
+      // Requested first so the click still counts as the user gesture the prompt needs
+      if (!await chrome.permissions.request({ permissions: ['cookies'] })) {
+        this.showError('Cookie audit needs the cookies permission');
+        return;
+      }
+      // The background rescans once the permission is added, even if the prompt closed this popup
+      this.showSuccess('Cookie audit enabled; the page is being rescanned');
+    } catch (error) {
+      this.showError('Failed to enable cookie audit: ' + error.message);
+    }
+  }
+
+  createFindingElement(finding) {
+    // Findings quote page markup, so everything goes in as text
+    const details = document.createElement('details');
+    details.className = 'finding';
+
+    const summary = document.createElement('summary');
+    const severity = document.createElement('span');
+    severity.className = `severity severity-${finding.severity}`;
+    severity.textContent = finding.severity;
+    summary.append(severity, finding.description);
+    details.appendChild(summary);
+
+    const remediation = document.createElement('p');
+    remediation.textContent = finding.directive
+      ? `${finding.directive}: ${finding.remediation}`
+      : finding.remediation;
+    details.appendChild(remediation);
+
+    if (finding.evidence && finding.evidence.length > 0) {
+      const evidence = document.createElement('ul');
+      finding.evidence.forEach(item => {
+        const entry = document.createElement('li');
+        entry.textContent = item;
+        evidence.appendChild(entry);
+      });
+      if (finding.evidenceCount > finding.evidence.length) {
+        const more = document.createElement('li');
+        more.textContent = `… and ${finding.evidenceCount - finding.evidence.length} more`;
+        evidence.appendChild(more);
+      }
+      details.appendChild(evidence);
+    }
+
+    return details;
   }
 
   showError(message) {
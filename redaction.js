@@ -0,0 +1,161 @@
+/**
+ * Audit Log Redaction
+ *
+ * Strips personal and secret data from audit event details before they are
+ * stored or exported. Loaded by the background, the content script and the popup:
+ * - minimal: URLs lose their query string and fragment; emails and tokens are masked
+ * - standard: also masks long numbers, hashes identifiers such as field names
+ *   and drops free text such as button labels and script snippets
+ * - paranoid: URLs are cut down to their origin, shorter numbers are masked
+ *   and the user agent is dropped
+ * Redacting twice gives the same result, so a stricter level can be applied
+ * again on export.
+ */
+
+class LogRedactor {
+  constructor() {
+    this.levels = ['minimal', 'standard', 'paranoid'];
+    this.defaultLevel = 'standard';
+    this.maxDepth = 8;
+    this.maxStringLength = 500;
+
+    // Keys whose values are chosen by the page or the user rather than by us
+    this.freeTextKeys = ['buttonText', 'content', 'text', 'textContent', 'title'];
+    this.identifierKeys = ['fieldName', 'fieldId', 'elementId', 'formId', 'buttonId'];
+
+    // Our own hashes and key ids look like tokens but are needed to verify the log
+    this.preservedKeys = ['hash', 'prevHash', 'chainHead', 'keyId', 'previousKeyId', 'requestId'];
+
+    this.urlPattern = /\b(?:https?|wss?):\/\/[^\s"'<>]+/gi;
+    this.emailPattern = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+    this.jwtPattern = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+    this.tokenPattern = /\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}\b/g;
+    this.hashedPattern = /^hash:[0-9a-f]{12}$/;
+    this.timestampPattern = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z$/;
+    this.minMaskedDigits = { minimal: null, standard: 6, paranoid: 3 };
+
+    this.salt = null;
+  }
+
+  isLevel(level) {
+    return this.levels.includes(level);
+  }
+
+  isStricter(level, than) {
+    return this.levels.indexOf(level) > this.levels.indexOf(than);
+  }
+
+  setSalt(salt) {
+    // Without a salt, hashed identifiers could be reversed by hashing common field names
+    this.salt = typeof salt === 'string' && salt ? salt : null;
+  }
+
+  redact(details, level = this.defaultLevel, options = {}) {
+    const effective = this.isLevel(level) ? level : this.defaultLevel;
+    return this.redactValue(details, effective, options, null, 0);
+  }
+
+  redactValue(value, level, options, key, depth) {
+    if (value === null || value === undefined || typeof value === 'boolean' || typeof value === 'number') {
+      return value;
+    }
+    if (depth > this.maxDepth) {
+      return '[truncated]';
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, level, options, key, depth + 1));
+    }
+
+    if (typeof value === 'object') {
+      const result = {};
+      Object.entries(value).forEach(([name, item]) => {
+        if (level !== 'minimal' && this.freeTextKeys.includes(name)) return;
+        if (level === 'paranoid' && name === 'userAgent') return;
+        result[name] = this.redactValue(item, level, options, name, depth + 1);
+      });
+      return result;
+    }
+
+    const text = String(value);
+    if (this.preservedKeys.includes(key) || this.timestampPattern.test(text)) {
+      return text;
+    }
+    if (level !== 'minimal' && this.identifierKeys.includes(key)) {
+      return options.keepIdentifiers ? text : this.hashIdentifier(text);
+    }
+    return this.redactString(text, level);
+  }
+
+  redactString(text, level) {
+    let result = text.substring(0, this.maxStringLength);
+
+    // URLs first, so their query strings never reach the other patterns
+    const urls = [];
+    result = result.replace(this.urlPattern, match => {
+      urls.push(this.redactUrl(match, level));
+      return `\u0000${urls.length - 1}\u0000`;
+    });
+
+    result = result
+      .replace(this.jwtPattern, '[token]')
+      .replace(this.emailPattern, '[email]')
+      .replace(this.tokenPattern, '[token]');
+
+    const minDigits = this.minMaskedDigits[level];
+    if (minDigits) {
+      result = result.replace(new RegExp(`\\d{${minDigits},}`, 'g'), '[number]');
+    }
+
+    return result.replace(/\u0000(\d+)\u0000/g, (match, index) => urls[Number(index)]);
+  }
+
+  redactUrl(value, level) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return '[url]';
+    }
+
+    if (level === 'paranoid') {
+      return url.origin;
+    }
+
+    // An origin given without a path keeps that form instead of gaining a trailing slash
+    if (/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*(?:[?#]|$)/i.test(value)) {
+      return url.origin;
+    }
+
+    // Paths can carry emails, tokens and account numbers too, sometimes percent-encoded
+    let path = url.pathname;
+    try {
+      path = decodeURIComponent(path);
+    } catch (error) {
+      // Malformed escapes are redacted as they are
+    }
+    return `${url.origin}${this.redactString(path, level)}`;
+  }
+
+  hashIdentifier(text) {
+    if (this.hashedPattern.test(text)) return text;
+    if (!this.salt) return '[identifier]';
+
+    // FNV-1a (64-bit), salted per installation: stable for correlating events, not reversible by lookup
+    let hash = 0xcbf29ce484222325n;
+    for (const char of this.salt + text) {
+      hash ^= BigInt(char.codePointAt(0));
+      hash = (hash * 0x100000001b3n) & 0xffffffffffffffffn;
+    }
+    return `hash:${hash.toString(16).padStart(16, '0').substring(0, 12)}`;
+  }
+}
+
+const logRedactor = new LogRedactor();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LogRedactor
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Script Inventory
+ *
+ * Lists every script on a monitored page for the popup, loaded into the
+ * content script ahead of content-secure.js:
+ * - External, inline and module scripts, and whether they were injected later
+ * - Grouped by origin and classified as first or third party
+ * - Subresource Integrity is verified locally on request by fetching the
+ *   script and hashing it; inline script text is hashed, never reported
+ */
+
+class ScriptInventory {
+  constructor() {
+    this.dynamicScripts = new WeakSet();
+    this.dynamicHistory = [];
+    this.maxDynamicHistory = 200;
+    this.sriAlgorithms = {
+      sha256: 'SHA-256',
+      sha384: 'SHA-384',
+      sha512: 'SHA-512'
+    };
+  }
+
+  recordDynamicScript(node) {
+    this.dynamicScripts.add(node);
+
+    // Injected scripts are often removed once they ran (e.g. JSONP), so keep a short history
+    this.dynamicHistory.push(node);
+    if (this.dynamicHistory.length > this.maxDynamicHistory) {
+      this.dynamicHistory.shift();
+    }
+  }
+
+  async collect() {
+    const pageHost = window.location.hostname;
+    const removed = this.dynamicHistory.filter(node => !node.isConnected);
+    const scripts = [...Array.from(document.scripts), ...removed];
+
+    const entries = await Promise.all(scripts.map(async (script, index) => {
+      const src = script.getAttribute('src');
+      const url = src ? this.resolveUrl(src) : null;
+      const origin = url ? url.origin : window.location.origin;
+
+      return {
+        index,
+        kind: src ? 'external' : 'inline',
+        module: script.type === 'module',
+        dynamic: this.dynamicScripts.has(script),
+        inDocument: script.isConnected,
+        src: url ? url.href : null,
+        origin,
+        party: url && !monitoredDomains.isSameSite(url.hostname, pageHost) ? 'third' : 'first',
+        integrity: script.getAttribute('integrity') || null,
+        crossOrigin: script.getAttribute('crossorigin'),
+        async: script.async,
+        defer: script.defer,
+        // Inline code is summarised by size and hash, which also suits CSP hash sources
+        length: src ? null : script.textContent.length,
+        sha256: src ? null : await this.digest('SHA-256', new TextEncoder().encode(script.textContent))
+      };
+    }));
+
+    return {
+      url: window.location.origin + window.location.pathname,
+      total: entries.length,
+      thirdParty: entries.filter(entry => entry.party === 'third').length,
+      withoutIntegrity: entries.filter(entry => entry.kind === 'external' && !entry.integrity).length,
+      groups: this.groupByOrigin(entries),
+      collectedAt: Date.now()
+    };
+  }
+
+  groupByOrigin(entries) {
+    const groups = new Map();
+    entries.forEach(entry => {
+      if (!groups.has(entry.origin)) {
+        groups.set(entry.origin, { origin: entry.origin, party: entry.party, scripts: [] });
+      }
+      groups.get(entry.origin).scripts.push(entry);
+    });
+
+    // First party first, then the largest third-party groups
+    return Array.from(groups.values()).sort((a, b) =>
+      (a.party === b.party ? b.scripts.length - a.scripts.length : (a.party === 'first' ? -1 : 1))
+    );
+  }
+
+  async verifyIntegrity() {
+    const scripts = Array.from(document.querySelectorAll('script[src]'));
+    const results = [];
+
+    // Sequential on purpose: one request at a time keeps the page responsive
+    for (const script of scripts) {
+      results.push(await this.verifyScript(script));
+    }
+
+    return {
+      verified: results.filter(result => result.status === 'match').length,
+      mismatched: results.filter(result => result.status === 'mismatch').length,
+      results,
+      verifiedAt: Date.now()
+    };
+  }
+
+  async verifyScript(script) {
+    const url = this.resolveUrl(script.getAttribute('src'));
+    const integrity = script.getAttribute('integrity');
+    const result = { src: url ? url.href : script.getAttribute('src'), integrity };
+
+    if (!url || !/^https?:$/.test(url.protocol)) {
+      return { ...result, status: 'unsupported_url' };
+    }
+
+    let body;
+    try {
+      // Cross-origin scripts are only readable when served with CORS, as SRI itself requires
+      const response = await fetch(url.href, { credentials: 'omit', cache: 'force-cache', mode: 'cors' });
+      if (!response.ok) {
+        return { ...result, status: 'fetch_failed', httpStatus: response.status };
+      }
+      body = await response.arrayBuffer();
+    } catch (error) {
+      return { ...result, status: 'fetch_failed', error: error.message };
+    }
+
+    if (!integrity) {
+      // Offer a ready-made value the site owner could pin the script with
+      return {
+        ...result,
+        status: 'no_integrity',
+        suggestedIntegrity: `sha384-${await this.digest('SHA-384', body)}`
+      };
+    }
+
+    const expected = this.parseIntegrity(integrity);
+    if (expected.length === 0) {
+      return { ...result, status: 'invalid_integrity' };
+    }
+
+    // Browsers only check the strongest algorithm present
+    const strongest = expected[expected.length - 1].algorithm;
+    const actual = await this.digest(this.sriAlgorithms[strongest], body);
+    const matches = expected.some(item => item.algorithm === strongest && item.hash === actual);
+
+    return {
+      ...result,
+      status: matches ? 'match' : 'mismatch',
+      algorithm: strongest,
+      actual: `${strongest}-${actual}`
+    };
+  }
+
+  parseIntegrity(integrity) {
+    const order = Object.keys(this.sriAlgorithms);
+    return integrity.trim().split(/\s+/)
+      .map(token => /^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})/i.exec(token))
+      .filter(Boolean)
+      .map(match => ({ algorithm: match[1].toLowerCase(), hash: match[2] }))
+      .sort((a, b) => order.indexOf(a.algorithm) - order.indexOf(b.algorithm));
+  }
+
+  async digest(algorithm, data) {
+    const hash = new Uint8Array(await crypto.subtle.digest(algorithm, data));
+    let binary = '';
+    hash.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  resolveUrl(value) {
+    try {
+      return new URL(value, document.baseURI);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+const scriptInventory = new ScriptInventory();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ScriptInventory
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * HTTP Security Header Auditor
+ *
+ * Grades the response headers of main-frame documents on monitored domains.
+ * Loaded by the background service worker, which captures the headers with
+ * chrome.webRequest in observe-only mode:
+ * - Each header gets a grade (pass, warn, fail or missing) and a short note
+ * - Problems become findings in the same shape the page scanner produces
+ * - Header values are truncated; cookies and other headers are never kept
+ */
+
+class SecurityHeaderAuditor {
+  constructor() {
+    this.maxValueLength = 500;
+    this.maxPolicyLength = 8192; // Policies are kept whole for the CSP evaluator
+    this.minHstsMaxAge = 15552000; // 180 days
+    this.auditedHeaders = [
+      'content-security-policy',
+      'content-security-policy-report-only',
+      'strict-transport-security',
+      'x-frame-options',
+      'x-content-type-options',
+      'referrer-policy',
+      'permissions-policy',
+      'cross-origin-opener-policy',
+      'cross-origin-embedder-policy'
+    ];
+  }
+
+  audit(responseHeaders, url) {
+    const headers = this.collect(responseHeaders);
+    const isHttps = url.startsWith('https:');
+    const grades = [];
+    const findings = [];
+
+    const record = (grade, finding) => {
+      grades.push(grade);
+      if (finding) {
+        findings.push({
+          evidence: grade.value ? [`${grade.name}: ${grade.value}`] : [],
+          ...finding
+        });
+      }
+    };
+
+    this.gradeCsp(headers, record);
+    if (isHttps) {
+      this.gradeHsts(headers, record);
+    }
+    this.gradeFraming(headers, record);
+    this.gradeContentTypeOptions(headers, record);
+    this.gradeReferrerPolicy(headers, record);
+    this.gradePermissionsPolicy(headers, record);
+    this.gradeCrossOriginIsolation(headers, record);
+
+    return {
+      url,
+      grades,
+      findings,
+      // Raw policies are kept so the CSP evaluator can work from the real header
+      policies: {
+        enforced: headers['content-security-policy'] || [],
+        reportOnly: headers['content-security-policy-report-only'] || []
+      },
+      capturedAt: Date.now()
+    };
+  }
+
+  collect(responseHeaders) {
+    const headers = {};
+    (responseHeaders || []).forEach(({ name, value }) => {
+      const key = (name || '').toLowerCase();
+      if (this.auditedHeaders.includes(key) && typeof value === 'string') {
+        // Some headers may legitimately appear more than once
+        const limit = key.startsWith('content-security-policy') ? this.maxPolicyLength : this.maxValueLength;
+        (headers[key] = headers[key] || []).push(value.substring(0, limit));
+      }
+    });
+    return headers;
+  }
+
+  first(headers, name) {
+    return headers[name] ? headers[name][0] : null;
+  }
+
+  gradeCsp(headers, record) {
+    const enforced = headers['content-security-policy'];
+    const reportOnly = headers['content-security-policy-report-only'];
+    const name = 'Content-Security-Policy';
+
+    if (enforced) {
+      record({ name, value: enforced.join(', '), grade: 'pass', note: 'Policy is enforced' });
+    } else if (reportOnly) {
+      record({ name, value: reportOnly.join(', '), grade: 'warn', note: 'Policy is only reported, not enforced' }, {
+        id: 'header-csp-report-only',
+        severity: 'medium',
+        description: 'The Content-Security-Policy is sent in report-only mode and blocks nothing.',
+        remediation: 'Once reports are clean, send the policy as Content-Security-Policy.'
+      });
+    } else {
+      record({ name, value: null, grade: 'missing', note: 'No policy restricts scripts or framing' }, {
+        id: 'header-csp-missing',
+        severity: 'high',
+        description: 'No Content-Security-Policy header is sent.',
+        remediation: 'Send a Content-Security-Policy restricting script-src, object-src and base-uri.'
+      });
+    }
+  }
+
+  gradeHsts(headers, record) {
+    const value = this.first(headers, 'strict-transport-security');
+    const name = 'Strict-Transport-Security';
+
+    if (!value) {
+      record({ name, value: null, grade: 'missing', note: 'Browsers may still try HTTP first' }, {
+        id: 'header-hsts-missing',
+        severity: 'medium',
+        description: 'No Strict-Transport-Security header is sent.',
+        remediation: `Send Strict-Transport-Security: max-age=${this.minHstsMaxAge}; includeSubDomains.`
+      });
+      return;
+    }
+
+    const maxAge = Number((/max-age\s*=\s*"?(\d+)/i.exec(value) || [])[1] || 0);
+    if (maxAge < this.minHstsMaxAge) {
+      record({ name, value, grade: 'warn', note: `max-age of ${maxAge}s is shorter than 180 days` }, {
+        id: 'header-hsts-short-max-age',
+        severity: 'low',
+        description: 'Strict-Transport-Security uses a short max-age.',
+        remediation: `Raise max-age to at least ${this.minHstsMaxAge} seconds.`
+      });
+    } else if (!/includesubdomains/i.test(value)) {
+      record({ name, value, grade: 'warn', note: 'Subdomains are not covered' }, {
+        id: 'header-hsts-no-subdomains',
+        severity: 'info',
+        description: 'Strict-Transport-Security does not cover subdomains.',
+        remediation: 'Add includeSubDomains once every subdomain serves HTTPS.'
+      });
+    } else {
+      record({ name, value, grade: 'pass', note: 'HTTPS is enforced' });
+    }
+  }
+
+  gradeFraming(headers, record) {
+    const frameOptions = this.first(headers, 'x-frame-options');
+    const policies = headers['content-security-policy'] || [];
+    const frameAncestors = policies.some(policy => /(^|;)\s*frame-ancestors\s/i.test(policy));
+    const name = 'X-Frame-Options / frame-ancestors';
+
+    if (frameAncestors) {
+      record({ name, value: 'frame-ancestors', grade: 'pass', note: 'Framing is restricted by CSP' });
+    } else if (frameOptions && /^\s*(deny|sameorigin)\s*$/i.test(frameOptions)) {
+      record({ name, value: frameOptions, grade: 'pass', note: 'Framing is restricted' });
+    } else if (frameOptions) {
+      record({ name, value: frameOptions, grade: 'fail', note: 'Unsupported X-Frame-Options value' }, {
+        id: 'header-frame-options-invalid',
+        severity: 'medium',
+        description: 'X-Frame-Options has a value browsers ignore, so the page can be framed.',
+        remediation: 'Use X-Frame-Options: DENY or SAMEORIGIN, or CSP frame-ancestors.'
+      });
+    } else {
+      record({ name, value: null, grade: 'missing', note: 'Page can be framed by any site' }, {
+        id: 'header-clickjacking',
+        severity: 'medium',
+        description: 'Neither X-Frame-Options nor CSP frame-ancestors protect against clickjacking.',
+        remediation: 'Send Content-Security-Policy: frame-ancestors \'self\' (or X-Frame-Options: DENY).'
+      });
+    }
+  }
+
+  gradeContentTypeOptions(headers, record) {
+    const value = this.first(headers, 'x-content-type-options');
+    const name = 'X-Content-Type-Options';
+
+    if (value && /^\s*nosniff\s*$/i.test(value)) {
+      record({ name, value, grade: 'pass', note: 'MIME sniffing disabled' });
+    } else {
+      record({ name, value, grade: value ? 'fail' : 'missing', note: 'Browsers may sniff content types' }, {
+        id: 'header-nosniff-missing',
+        severity: 'low',
+        description: 'X-Content-Type-Options: nosniff is not set.',
+        remediation: 'Send X-Content-Type-Options: nosniff.'
+      });
+    }
+  }
+
+  gradeReferrerPolicy(headers, record) {
+    const value = this.first(headers, 'referrer-policy');
+    const name = 'Referrer-Policy';
+
+    if (!value) {
+      record({ name, value: null, grade: 'missing', note: 'Browser default applies' }, {
+        id: 'header-referrer-policy-missing',
+        severity: 'info',
+        description: 'No Referrer-Policy header is sent; the browser default applies.',
+        remediation: 'Send Referrer-Policy: strict-origin-when-cross-origin or stricter.'
+      });
+      return;
+    }
+
+    // The last recognised token wins, as in browsers
+    const tokens = value.toLowerCase().split(',').map(token => token.trim());
+    const effective = tokens[tokens.length - 1];
+    if (effective === 'unsafe-url' || effective === 'no-referrer-when-downgrade') {
+      record({ name, value, grade: 'fail', note: 'Full URLs leak to other sites' }, {
+        id: 'header-referrer-policy-weak',
+        severity: 'low',
+        description: `Referrer-Policy "${effective}" sends full URLs, including paths and queries, to other sites.`,
+        remediation: 'Use strict-origin-when-cross-origin or no-referrer.'
+      });
+    } else {
+      record({ name, value, grade: 'pass', note: 'Referrer data is limited' });
+    }
+  }
+
+  gradePermissionsPolicy(headers, record) {
+    const value = this.first(headers, 'permissions-policy');
+    const name = 'Permissions-Policy';
+
+    if (value) {
+      record({ name, value, grade: 'pass', note: 'Powerful features are restricted' });
+    } else {
+      record({ name, value: null, grade: 'missing', note: 'Embedded content may request powerful features' }, {
+        id: 'header-permissions-policy-missing',
+        severity: 'info',
+        description: 'No Permissions-Policy header restricts camera, microphone, geolocation and similar features.',
+        remediation: 'Send a Permissions-Policy disabling features the site does not use.'
+      });
+    }
+  }
+
+  gradeCrossOriginIsolation(headers, record) {
+    const opener = this.first(headers, 'cross-origin-opener-policy');
+    const embedder = this.first(headers, 'cross-origin-embedder-policy');
+
+    if (opener && /same-origin/i.test(opener)) {
+      record({ name: 'Cross-Origin-Opener-Policy', value: opener, grade: 'pass', note: 'Window is isolated from openers' });
+    } else {
+      record({ name: 'Cross-Origin-Opener-Policy', value: opener, grade: opener ? 'warn' : 'missing', note: 'Other sites can keep a handle to this window' }, {
+        id: 'header-coop-missing',
+        severity: 'info',
+        description: 'Cross-Origin-Opener-Policy does not isolate the page from cross-origin windows.',
+        remediation: 'Send Cross-Origin-Opener-Policy: same-origin (or same-origin-allow-popups).'
+      });
+    }
+
+    if (embedder && /require-corp|credentialless/i.test(embedder)) {
+      record({ name: 'Cross-Origin-Embedder-Policy', value: embedder, grade: 'pass', note: 'Cross-origin resources must opt in' });
+    } else {
+      record({ name: 'Cross-Origin-Embedder-Policy', value: embedder, grade: embedder ? 'warn' : 'missing', note: 'Page is not cross-origin isolated' });
+    }
+  }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SecurityHeaderAuditor
+  };
+}
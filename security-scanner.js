@@ -0,0 +1,304 @@
+/**
+ * Page Security Scanner
+ *
+ * Rule-based analysis of the current page, loaded into the content script
+ * ahead of content-secure.js:
+ * - Each rule inspects the DOM and returns evidence for one finding
+ * - Findings carry an id, severity, description and remediation text
+ * - Evidence describes elements and URLs, never form values or page text
+ * - Further rules can be added with registerRule()
+ */
+
+class SecurityScanner {
+  constructor() {
+    this.rules = [];
+    this.maxEvidence = 20;
+    this.severityWeights = {
+      critical: 40,
+      high: 20,
+      medium: 10,
+      low: 3,
+      info: 0
+    };
+
+    this.registerDefaultRules();
+  }
+
+  registerRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || typeof rule.check !== 'function') {
+      throw new Error('Scan rules need an id and a check function');
+    }
+    if (this.rules.some(existing => existing.id === rule.id)) {
+      throw new Error(`Scan rule already registered: ${rule.id}`);
+    }
+    this.rules.push(rule);
+  }
+
+  async scan(options = {}) {
+    const context = this.createContext(options);
+
+    // Findings gathered outside the page (e.g. response headers) share the score
+    const findings = (options.extraFindings || []).map(finding => ({
+      ...finding,
+      evidence: (finding.evidence || []).slice(0, this.maxEvidence)
+    }));
+
+    for (const rule of this.rules) {
+      try {
+        const result = await rule.check(context);
+        findings.push(...this.toFindings(rule, result, context));
+      } catch (error) {
+        // One broken rule must not hide the results of the others
+        findings.push({
+          id: 'scanner-error',
+          severity: 'info',
+          description: `Rule ${rule.id} could not run: ${error.message}`,
+          remediation: 'Report this to the extension maintainers.',
+          evidence: []
+        });
+      }
+    }
+
+    return {
+      findings,
+      score: this.calculateScore(findings),
+      summary: this.summarize(findings),
+      protocolSecure: context.isHttps,
+      rulesRun: this.rules.length,
+      timestamp: Date.now()
+    };
+  }
+
+  createContext(options) {
+    return {
+      document,
+      location: window.location,
+      isHttps: window.location.protocol === 'https:',
+      strict: options.strictMode !== false,
+      resolveUrl: (value) => {
+        try {
+          return new URL(value, document.baseURI);
+        } catch (error) {
+          return null;
+        }
+      },
+      describe: this.describeElement.bind(this)
+    };
+  }
+
+  toFindings(rule, result, context) {
+    // Rules return a list of evidence; an empty list means the rule passed
+    if (!result || result.length === 0) return [];
+
+    const severity = typeof rule.severity === 'function' ? rule.severity(context) : rule.severity;
+    return [{
+      id: rule.id,
+      severity,
+      description: rule.description,
+      remediation: rule.remediation,
+      evidence: result.slice(0, this.maxEvidence),
+      evidenceCount: result.length
+    }];
+  }
+
+  calculateScore(findings) {
+    const penalty = findings.reduce((sum, finding) =>
+      sum + (this.severityWeights[finding.severity] || 0), 0);
+    return Math.max(0, 100 - penalty);
+  }
+
+  summarize(findings) {
+    const summary = { critical: 0, high: 0, medium: 0, low: 0, info: 0 };
+    findings.forEach(finding => {
+      if (finding.severity in summary) {
+        summary[finding.severity]++;
+      }
+    });
+    return summary;
+  }
+
+  describeElement(element, attribute) {
+    let description = element.tagName.toLowerCase();
+    if (element.id) {
+      description += `#${element.id}`;
+    }
+    if (element.name && typeof element.name === 'string') {
+      description += `[name="${element.name}"]`;
+    }
+    if (attribute) {
+      const value = element.getAttribute(attribute) || '';
+      description += ` ${attribute}="${value.substring(0, 200)}"`;
+    }
+    return description;
+  }
+
+  registerDefaultRules() {
+    this.registerRule({
+      id: 'mixed-content',
+      severity: 'high',
+      description: 'Resources are loaded over plain HTTP on an HTTPS page.',
+      remediation: 'Serve every subresource over HTTPS, or add "upgrade-insecure-requests" to the Content-Security-Policy.',
+      check: (ctx) => {
+        if (!ctx.isHttps) return [];
+
+        // Only link types that fetch something; canonical, alternate, author and the like load nothing
+        const loadingLinks = ['stylesheet', 'preload', 'modulepreload', 'icon']
+          .map(rel => `link[href][rel~="${rel}" i]`)
+          .join(', ');
+
+        const selectors = [
+          ['script[src]', 'src'],
+          [loadingLinks, 'href'],
+          ['img[src]', 'src'],
+          ['iframe[src]', 'src'],
+          ['audio[src]', 'src'],
+          ['video[src]', 'src'],
+          ['source[src]', 'src'],
+          ['embed[src]', 'src'],
+          ['object[data]', 'data']
+        ];
+
+        return selectors.flatMap(([selector, attribute]) =>
+          Array.from(ctx.document.querySelectorAll(selector))
+            .filter(element => ctx.resolveUrl(element.getAttribute(attribute))?.protocol === 'http:')
+            .map(element => ctx.describe(element, attribute))
+        );
+      }
+    });
+
+    this.registerRule({
+      id: 'form-insecure-action',
+      severity: 'high',
+      description: 'Forms submit their data over plain HTTP.',
+      remediation: 'Point the form action at an HTTPS URL.',
+      check: (ctx) => Array.from(ctx.document.forms)
+        .filter(form => ctx.resolveUrl(form.getAttribute('action') || '')?.protocol === 'http:')
+        .map(form => ctx.describe(form, 'action'))
+    });
+
+    this.registerRule({
+      id: 'form-cross-origin-action',
+      severity: 'medium',
+      description: 'Forms submit their data to a different origin than the page.',
+      remediation: 'Confirm the receiving host is expected; submit to the page\'s own origin where possible.',
+      check: (ctx) => Array.from(ctx.document.forms)
+        .filter(form => {
+          const action = ctx.resolveUrl(form.getAttribute('action') || '');
+          return action && /^https?:$/.test(action.protocol) && action.origin !== ctx.location.origin;
+        })
+        .map(form => ctx.describe(form, 'action'))
+    });
+
+    this.registerRule({
+      id: 'password-on-insecure-page',
+      severity: 'critical',
+      description: 'Password fields appear on a page not served over HTTPS.',
+      remediation: 'Serve the page over HTTPS and redirect HTTP requests to it.',
+      check: (ctx) => {
+        if (ctx.isHttps) return [];
+        return Array.from(ctx.document.querySelectorAll('input[type="password"]'))
+          .map(input => ctx.describe(input));
+      }
+    });
+
+    this.registerRule({
+      id: 'card-field-autocomplete',
+      severity: 'medium',
+      description: 'Payment card fields lack an autocomplete="cc-*" hint.',
+      remediation: 'Add the matching autocomplete token (cc-number, cc-exp, cc-csc, cc-name) so browsers handle the field as payment data.',
+      check: (ctx) => {
+        const cardPattern = /(card|cc-?num|ccnum|cvv|cvc|csc|expir)/i;
+        return Array.from(ctx.document.querySelectorAll('input'))
+          .filter(input => cardPattern.test(`${input.name} ${input.id} ${input.getAttribute('autocomplete') || ''}`))
+          .filter(input => !/^cc-/.test((input.getAttribute('autocomplete') || '').trim().split(/\s+/).pop()))
+          .map(input => ctx.describe(input, 'autocomplete'));
+      }
+    });
+
+    this.registerRule({
+      id: 'iframe-without-sandbox',
+      severity: 'low',
+      description: 'Frames are embedded without a sandbox attribute.',
+      remediation: 'Add a sandbox attribute granting only the capabilities the frame needs.',
+      check: (ctx) => Array.from(ctx.document.querySelectorAll('iframe:not([sandbox])'))
+        .filter(frame => {
+          // Outside strict mode only third-party frames are reported
+          if (ctx.strict) return true;
+          const src = ctx.resolveUrl(frame.getAttribute('src') || '');
+          return src && /^https?:$/.test(src.protocol) && src.origin !== ctx.location.origin;
+        })
+        .map(frame => ctx.describe(frame, 'src'))
+    });
+
+    this.registerRule({
+      id: 'target-blank-without-noopener',
+      severity: 'low',
+      description: 'Links open a new window without rel="noopener".',
+      remediation: 'Add rel="noopener noreferrer" to links using target="_blank".',
+      check: (ctx) => Array.from(ctx.document.querySelectorAll('a[target="_blank" i], area[target="_blank" i]'))
+        .filter(link => !/\bno(opener|referrer)\b/i.test(link.getAttribute('rel') || ''))
+        .map(link => ctx.describe(link, 'href'))
+    });
+
+    this.registerRule({
+      id: 'inline-event-handlers',
+      severity: (ctx) => (ctx.strict ? 'medium' : 'low'),
+      description: 'Elements use inline event handler attributes.',
+      remediation: 'Move handlers into scripts with addEventListener so a strict CSP can forbid inline code.',
+      check: (ctx) => {
+        const evidence = [];
+        ctx.document.querySelectorAll('*').forEach(element => {
+          Array.from(element.attributes)
+            .filter(attribute => /^on[a-z]+$/i.test(attribute.name))
+            .forEach(attribute => evidence.push(ctx.describe(element) + ` ${attribute.name}`));
+        });
+        return evidence;
+      }
+    });
+
+    this.registerRule({
+      id: 'javascript-urls',
+      severity: 'medium',
+      description: 'Links, forms or frames use javascript: URLs.',
+      remediation: 'Replace javascript: URLs with event listeners attached from scripts.',
+      check: (ctx) => {
+        const selectors = [
+          ['a[href]', 'href'],
+          ['area[href]', 'href'],
+          ['form[action]', 'action'],
+          ['iframe[src]', 'src'],
+          ['button[formaction]', 'formaction'],
+          ['input[formaction]', 'formaction']
+        ];
+
+        return selectors.flatMap(([selector, attribute]) =>
+          Array.from(ctx.document.querySelectorAll(selector))
+            .filter(element => /^\s*javascript:/i.test(element.getAttribute(attribute)))
+            .map(element => `${ctx.describe(element)} ${attribute}="javascript:…"`)
+        );
+      }
+    });
+
+    this.registerRule({
+      id: 'third-party-scripts',
+      severity: (ctx) => (ctx.strict ? 'medium' : 'low'),
+      description: 'Scripts are loaded from origins other than the page\'s own.',
+      remediation: 'Review each third-party script and pin it with Subresource Integrity where possible.',
+      check: (ctx) => Array.from(ctx.document.querySelectorAll('script[src]'))
+        .filter(script => {
+          const src = ctx.resolveUrl(script.getAttribute('src'));
+          return src && src.origin !== ctx.location.origin;
+        })
+        .map(script => ctx.describe(script, 'src'))
+    });
+  }
+}
+
+const securityScanner = new SecurityScanner();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SecurityScanner
+  };
+}
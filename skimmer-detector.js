@@ -0,0 +1,176 @@
+/**
+ * Form-Jacking Detector
+ *
+ * Turns what the page-world probe (skimmer-probe.js) observes into audit events
+ * and in-page warnings. Loaded into the content script ahead of content-secure.js:
+ * - Third-party scripts listening to password or card inputs
+ * - Sensitive values read and then sent to another site
+ * - Form actions rewritten after the page loaded
+ * First-party behaviour is expected and ignored; only origins are recorded,
+ * never field values or full URLs.
+ */
+
+class SkimmerDetector {
+  constructor() {
+    this.detectionEvent = '__secureExtensionProbeDetection';
+    this.readyEvent = '__secureExtensionProbeReady';
+    this.knownKinds = ['sensitive_listener', 'sensitive_exfiltration'];
+    this.reported = new Set();
+    this.maxReports = 25;
+    this.contentScript = null;
+    this.formObserver = null;
+    this.rewrittenForms = new WeakMap(); // form -> origin its action pointed to before the first rewrite
+    this.handleProbeEvent = this.handleProbeEvent.bind(this);
+  }
+
+  start(contentScript) {
+    this.contentScript = contentScript;
+
+    window.addEventListener(this.detectionEvent, this.handleProbeEvent);
+
+    this.formObserver = new MutationObserver(mutations => this.handleFormMutations(mutations));
+    this.formObserver.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ['action'],
+      attributeOldValue: true,
+      subtree: true
+    });
+
+    // The probe holds what it saw before this script loaded until it hears from us
+    window.dispatchEvent(new CustomEvent(this.readyEvent));
+  }
+
+  stop() {
+    window.removeEventListener(this.detectionEvent, this.handleProbeEvent);
+    if (this.formObserver) {
+      this.formObserver.disconnect();
+      this.formObserver = null;
+    }
+  }
+
+  handleProbeEvent(event) {
+    let detection;
+    try {
+      detection = JSON.parse(typeof event.detail === 'string' ? event.detail : 'null');
+    } catch (error) {
+      return;
+    }
+    if (!detection || !this.knownKinds.includes(detection.kind)) return;
+
+    const field = detection.field === 'card' ? 'card' : 'password';
+    const initiator = this.describeUrl(detection.initiator);
+
+    if (detection.kind === 'sensitive_listener') {
+      if (!initiator || this.isFirstParty(initiator.hostname)) return;
+
+      this.raise({
+        kind: 'third_party_field_listener',
+        severity: 'high',
+        field,
+        eventType: String(detection.eventType).substring(0, 20),
+        initiator: initiator.label
+      }, `A script from ${initiator.origin} is watching what you type into ${field} fields.`);
+      return;
+    }
+
+    const destination = this.describeUrl(detection.destination);
+    if (!destination || this.isFirstParty(destination.hostname)) return;
+
+    this.raise({
+      kind: 'sensitive_data_exfiltration',
+      severity: 'high',
+      field,
+      channel: String(detection.channel).substring(0, 20),
+      destination: destination.origin,
+      initiator: initiator ? initiator.label : null
+    }, `Data typed into a ${field} field was sent to ${destination.origin}.`);
+  }
+
+  handleFormMutations(mutations) {
+    mutations.forEach(mutation => {
+      const form = mutation.target;
+      if (form.tagName !== 'FORM') return;
+
+      // A form without an action (null oldValue) submits to the page itself, so adding one is a rewrite too
+      const previous = this.describeUrl(mutation.oldValue || window.location.href);
+      const current = this.describeUrl(form.getAttribute('action') || window.location.href);
+      if (!current || (previous && previous.origin === current.origin)) return;
+
+      if (!this.rewrittenForms.has(form)) {
+        this.rewrittenForms.set(form, previous ? previous.origin : null);
+      }
+
+      const hasSensitiveFields = Array.from(form.elements).some(element =>
+        this.contentScript.isSensitiveField(element)
+      );
+      if (!hasSensitiveFields) return;
+
+      const crossSite = !this.isFirstParty(current.hostname);
+      const insecure = current.protocol !== 'https:';
+
+      this.raise({
+        kind: 'form_action_rewritten',
+        severity: crossSite || insecure ? 'high' : 'medium',
+        previousAction: previous ? previous.origin : null,
+        newAction: current.origin
+      }, `A form on this page was changed to send what you enter to ${current.origin}.`);
+    });
+  }
+
+  wasActionRewritten(form) {
+    if (!this.rewrittenForms.has(form)) return false;
+
+    // Changed back to where it originally pointed is no longer a rewrite
+    const current = this.describeUrl(form.getAttribute('action') || window.location.href);
+    return !current || current.origin !== this.rewrittenForms.get(form);
+  }
+
+  raise(details, message) {
+    const key = [details.kind, details.field, details.initiator, details.destination, details.newAction].join('|');
+    if (this.reported.has(key) || this.reported.size >= this.maxReports) return;
+    this.reported.add(key);
+
+    this.contentScript.logActivity('skimmer_behavior_detected', details);
+
+    if (details.severity === 'high') {
+      pageWarnings.show({
+        id: key,
+        title: 'Possible card skimmer on this page',
+        message: `${message} Do not enter payment or login details unless you trust this site.`,
+        severity: details.severity
+      });
+    }
+  }
+
+  isFirstParty(hostname) {
+    return monitoredDomains.isSameSite(hostname, window.location.hostname);
+  }
+
+  describeUrl(value) {
+    if (typeof value !== 'string' || !value) return null;
+
+    try {
+      const url = new URL(value, document.baseURI);
+      if (!/^https?:$/.test(url.protocol)) return null;
+
+      // Query strings can carry the very data being stolen, so keep only the script path
+      return {
+        origin: url.origin,
+        hostname: url.hostname,
+        protocol: url.protocol,
+        label: url.origin + url.pathname.substring(0, 200)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+const skimmerDetector = new SkimmerDetector();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SkimmerDetector
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * Skimmer Probe (page world)
+ *
+ * Runs in the page's main world at document_start on monitored domains, because
+ * the isolated content script cannot see what page scripts do. It only observes:
+ * - Listeners attached to password and card inputs, with the attaching script
+ * - Sensitive field values being read and then sent out via fetch,
+ *   XMLHttpRequest, sendBeacon, image URLs or WebSockets
+ *
+ * Field values never leave this script. Detections are passed to the content
+ * script as JSON strings on a window event, which page scripts share. A page can
+ * forge detections about itself, and a script written against this extension can
+ * also silence the probe: swallow the event in an earlier listener with
+ * stopImmediatePropagation(), or fire the ready event before the content script
+ * listens. There is no private channel to hand over at document_start, so the probe
+ * catches generic skimmers, not ones built to evade it.
+ */
+
+(() => {
+  const DETECTION_EVENT = '__secureExtensionProbeDetection';
+  const READY_EVENT = '__secureExtensionProbeReady';
+  const RECENT_VALUE_MS = 60000;
+  const MAX_RECENT_VALUES = 20;
+  const MAX_PENDING = 50;
+
+  const dispatch = window.dispatchEvent.bind(window);
+  const addListener = EventTarget.prototype.addEventListener;
+  const valueDescriptor = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value');
+
+  const pending = [];
+  const recentValues = [];
+  let listening = false;
+
+  const emit = (detection) => {
+    const event = new CustomEvent(DETECTION_EVENT, { detail: JSON.stringify(detection) });
+    dispatch(event);
+  };
+
+  const report = (detection) => {
+    detection.timestamp = Date.now();
+    if (listening) {
+      emit(detection);
+    } else if (pending.length < MAX_PENDING) {
+      // The content script attaches later than this probe; hold detections until it does
+      pending.push(detection);
+    }
+  };
+
+  addListener.call(window, READY_EVENT, () => {
+    listening = true;
+    pending.splice(0).forEach(emit);
+  });
+
+  // Mirrors the card and password heuristics of the content script's isSensitiveField()
+  const fieldKind = (element) => {
+    if (!(element instanceof HTMLInputElement)) return null;
+
+    const type = (element.type || '').toLowerCase();
+    const hints = `${element.name} ${element.id} ${element.getAttribute('autocomplete') || ''}`.toLowerCase();
+
+    if (type === 'password') return 'password';
+    if (/(^|\s)cc-|card|ccnum|cvv|cvc|csc|expir/.test(hints)) return 'card';
+    return null;
+  };
+
+  const initiator = () => {
+    // The first http(s) frame that is not this probe is the script doing the work
+    const stack = new Error().stack || '';
+    const match = stack.match(/https?:\/\/[^\s)]+?(?=:\d+:\d+)/);
+    return match ? match[0] : null;
+  };
+
+  const pruneRecent = () => {
+    const cutoff = Date.now() - RECENT_VALUE_MS;
+    while (recentValues.length > 0 && (recentValues[0].at < cutoff || recentValues.length > MAX_RECENT_VALUES)) {
+      recentValues.shift();
+    }
+  };
+
+  const rememberValue = (value, field, reader) => {
+    if (typeof value !== 'string' || value.length < 4) return;
+    if (recentValues.some(entry => entry.value === value)) return;
+
+    recentValues.push({ value, field, reader, at: Date.now() });
+    pruneRecent();
+  };
+
+  const encodings = (value) => {
+    const variants = [value, encodeURIComponent(value), value.replace(/[\s-]/g, '')];
+    try {
+      variants.push(btoa(value));
+    } catch (error) {
+      // Non-Latin-1 values cannot be base64 encoded by btoa
+    }
+    return variants.filter(variant => variant.length >= 4);
+  };
+
+  const payloadText = (data) => {
+    try {
+      if (data === null || data === undefined) return '';
+      if (typeof data === 'string') return data;
+      if (data instanceof URLSearchParams) return data.toString();
+      if (data instanceof FormData) {
+        return Array.from(data.entries())
+          .map(([key, value]) => `${key}=${typeof value === 'string' ? value : ''}`)
+          .join('&');
+      }
+      if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        return data.byteLength <= 65536 ? new TextDecoder().decode(data) : '';
+      }
+    } catch (error) {
+      // Unreadable payloads are simply not inspected
+    }
+    return '';
+  };
+
+  const inspectOutbound = (channel, url, data) => {
+    pruneRecent();
+    if (recentValues.length === 0) return;
+
+    let destination;
+    try {
+      destination = new URL(String(url), document.baseURI);
+    } catch (error) {
+      return;
+    }
+
+    const text = `${destination.href} ${payloadText(data)}`;
+    const leaked = recentValues.find(entry =>
+      encodings(entry.value).some(variant => text.includes(variant))
+    );
+
+    if (leaked) {
+      report({
+        kind: 'sensitive_exfiltration',
+        channel,
+        destination: destination.origin,
+        field: leaked.field,
+        reader: leaked.reader,
+        initiator: initiator()
+      });
+    }
+  };
+
+  const guard = (install) => {
+    try {
+      install();
+    } catch (error) {
+      // A failed hook must never break the page
+    }
+  };
+
+  // Listeners on sensitive inputs
+  guard(() => {
+    const watchedEvents = /^(input|change|keydown|keyup|keypress|blur|paste)$/;
+    EventTarget.prototype.addEventListener = function (type, listener, options) {
+      const field = fieldKind(this);
+      if (field && watchedEvents.test(type)) {
+        report({ kind: 'sensitive_listener', eventType: type, field, initiator: initiator() });
+      }
+      return addListener.call(this, type, listener, options);
+    };
+  });
+
+  // Reads of sensitive values
+  guard(() => {
+    Object.defineProperty(HTMLInputElement.prototype, 'value', {
+      ...valueDescriptor,
+      get() {
+        const value = valueDescriptor.get.call(this);
+        const field = fieldKind(this);
+        if (field && value) {
+          rememberValue(value, field, initiator());
+        }
+        return value;
+      }
+    });
+  });
+
+  // FormData reads field values natively, without the value getter
+  guard(() => {
+    window.FormData = new Proxy(window.FormData, {
+      construct(target, args, newTarget) {
+        const form = args[0];
+        if (form instanceof HTMLFormElement) {
+          Array.from(form.elements).forEach(element => {
+            const field = fieldKind(element);
+            if (field) {
+              rememberValue(valueDescriptor.get.call(element), field, initiator());
+            }
+          });
+        }
+        return Reflect.construct(target, args, newTarget);
+      }
+    });
+  });
+
+  // Outbound channels
+  guard(() => {
+    const originalFetch = window.fetch;
+    window.fetch = function (input, init) {
+      inspectOutbound('fetch', input instanceof Request ? input.url : input, init && init.body);
+      return originalFetch.apply(this, arguments);
+    };
+  });
+
+  guard(() => {
+    const requestUrls = new WeakMap();
+    const originalOpen = XMLHttpRequest.prototype.open;
+    const originalSend = XMLHttpRequest.prototype.send;
+
+    XMLHttpRequest.prototype.open = function (method, url) {
+      requestUrls.set(this, url);
+      return originalOpen.apply(this, arguments);
+    };
+    XMLHttpRequest.prototype.send = function (body) {
+      inspectOutbound('xhr', requestUrls.get(this), body);
+      return originalSend.apply(this, arguments);
+    };
+  });
+
+  guard(() => {
+    const originalBeacon = navigator.sendBeacon;
+    navigator.sendBeacon = function (url, data) {
+      inspectOutbound('beacon', url, data);
+      return originalBeacon.apply(this, arguments);
+    };
+  });
+
+  guard(() => {
+    const srcDescriptor = Object.getOwnPropertyDescriptor(HTMLImageElement.prototype, 'src');
+    Object.defineProperty(HTMLImageElement.prototype, 'src', {
+      ...srcDescriptor,
+      set(value) {
+        inspectOutbound('image', value, null);
+        return srcDescriptor.set.call(this, value);
+      }
+    });
+  });
+
+  guard(() => {
+    const originalWebSocketSend = WebSocket.prototype.send;
+    WebSocket.prototype.send = function (data) {
+      inspectOutbound('websocket', this.url, data);
+      return originalWebSocketSend.apply(this, arguments);
+    };
+  });
+})();
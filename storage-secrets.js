@@ -0,0 +1,352 @@
+/**
+ * Web Storage Secrets Scanner
+ *
+ * Looks for secrets a monitored page keeps in client-side storage, loaded into
+ * the content script ahead of content-secure.js:
+ * - localStorage, sessionStorage and a sample of records from each IndexedDB store
+ * - JSON Web Tokens (algorithm and expiry decoded, alg "none" flagged), API keys
+ *   and private keys, email addresses and card numbers passing the Luhn check
+ * - Values nested in JSON are searched too
+ * - Reports where a secret is and what kind it is; values are never reported
+ */
+
+class StorageSecretsScanner {
+  constructor() {
+    this.maxKeysPerArea = 500;
+    this.maxValueLength = 100000;
+    this.maxDepth = 6;
+    this.maxRecordsPerStore = 50;
+    this.indexedDbTimeoutMs = 2000;
+    this.maxLocationLength = 120;
+    this.maxJwtExpSeconds = 8.64e12; // The latest instant a Date can hold
+
+    this.apiKeyPatterns = [
+      { provider: 'aws', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+      { provider: 'github', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/ },
+      { provider: 'stripe', pattern: /\b[sr]k_live_[A-Za-z0-9]{20,}\b/ },
+      { provider: 'google', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+      { provider: 'slack', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/ },
+      { provider: 'openai', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{32,}\b/ },
+      { provider: 'private_key', pattern: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/ }
+    ];
+    this.jwtPattern = /^(?:Bearer\s+)?(eyJ[A-Za-z0-9_-]+)\.(eyJ[A-Za-z0-9_-]+)\.([A-Za-z0-9_-]*)$/;
+    this.emailPattern = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+    this.cardPattern = /(?:^|[^\d])((?:\d[ -]?){12,18}\d)(?=$|[^\d])/g;
+    // Issuer prefixes (Visa, Mastercard, Amex, Diners, JCB, Discover, UnionPay) rule out timestamps and ids
+    this.cardPrefixPattern = /^(?:4|5[1-5]|2[2-7]|3[0478]|6)/;
+  }
+
+  async scan() {
+    const secrets = [];
+    const areas = {};
+
+    ['localStorage', 'sessionStorage'].forEach(name => {
+      areas[name] = this.scanWebStorage(name, secrets);
+    });
+    areas.indexedDB = await this.scanIndexedDb(secrets);
+
+    return {
+      areas,
+      secrets,
+      findings: this.toFindings(secrets)
+    };
+  }
+
+  scanWebStorage(name, secrets) {
+    let storage;
+    try {
+      // Throws when the page's storage is blocked (sandboxed frames, site settings)
+      storage = window[name];
+      if (!storage) return { available: false };
+    } catch (error) {
+      return { available: false };
+    }
+
+    const keyCount = storage.length;
+    for (let index = 0; index < Math.min(keyCount, this.maxKeysPerArea); index++) {
+      const key = storage.key(index);
+      const value = storage.getItem(key);
+      this.inspectEntry(value, { area: name, location: this.safeName(key) }, secrets);
+    }
+
+    return { available: true, keys: keyCount, truncated: keyCount > this.maxKeysPerArea };
+  }
+
+  async scanIndexedDb(secrets) {
+    if (typeof indexedDB === 'undefined' || typeof indexedDB.databases !== 'function') {
+      return { available: false };
+    }
+
+    let databases;
+    try {
+      databases = await indexedDB.databases();
+    } catch (error) {
+      return { available: false };
+    }
+
+    const summary = { available: true, databases: databases.length, stores: 0, recordsSampled: 0 };
+    for (const { name } of databases) {
+      if (!name) continue;
+      try {
+        await this.scanDatabase(name, summary, secrets);
+      } catch (error) {
+        // A database busy upgrading or closed under us is skipped, not fatal
+        console.warn('[SECURE EXTENSION] Could not read IndexedDB database:', error.message);
+      }
+    }
+    return summary;
+  }
+
+  async scanDatabase(name, summary, secrets) {
+    let timedOut = false;
+    const db = await this.withTimeout(new Promise((resolve, reject) => {
+      // No version, so an existing database opens as is and is never upgraded
+      const request = indexedDB.open(name);
+      request.onupgradeneeded = () => request.transaction.abort();
+      request.onsuccess = () => {
+        // A connection that arrives too late must not stay open behind the page's back
+        if (timedOut) request.result.close();
+        resolve(request.result);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('blocked'));
+    })).catch(error => {
+      timedOut = true;
+      throw error;
+    });
+
+    // Never hold up the page's own upgrades
+    db.onversionchange = () => db.close();
+
+    try {
+      for (const storeName of Array.from(db.objectStoreNames)) {
+        const records = await this.withTimeout(new Promise((resolve, reject) => {
+          const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll(null, this.maxRecordsPerStore);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        }));
+
+        summary.stores++;
+        summary.recordsSampled += records.length;
+        records.forEach((record, index) => {
+          this.inspectEntry(record, {
+            area: 'indexedDB',
+            location: `${this.safeName(name)}/${this.safeName(storeName)}[${index}]`
+          }, secrets);
+        });
+      }
+    } finally {
+      db.close();
+    }
+  }
+
+  inspectEntry(value, where, secrets) {
+    // Values are the page's to choose; one that trips us up must not end the whole scan
+    try {
+      this.inspect(value, where, secrets);
+    } catch (error) {
+      console.warn('[SECURE EXTENSION] Skipped a storage entry that could not be inspected:', error.message);
+    }
+  }
+
+  inspect(value, where, secrets, depth = 0) {
+    if (depth > this.maxDepth || value === null || value === undefined) return;
+
+    if (typeof value === 'string') {
+      if (value.length > this.maxValueLength) return;
+
+      // Structured values are often stored as JSON text
+      const trimmed = value.trim();
+      if (depth < this.maxDepth && /^[[{]/.test(trimmed)) {
+        try {
+          this.inspect(JSON.parse(trimmed), where, secrets, depth + 1);
+          return;
+        } catch (error) {
+          // Not JSON after all; classify the text itself
+        }
+      }
+
+      this.classify(trimmed).forEach(secret => {
+        secrets.push({
+          area: where.area,
+          location: where.location.substring(0, this.maxLocationLength),
+          ...secret
+        });
+      });
+      return;
+    }
+
+    if (typeof value !== 'object') return;
+
+    const entries = Array.isArray(value)
+      ? value.slice(0, this.maxKeysPerArea).map((item, index) => [`[${index}]`, item])
+      : Object.entries(value).slice(0, this.maxKeysPerArea).map(([key, item]) => [`.${this.safeName(key)}`, item]);
+
+    entries.forEach(([path, item]) => {
+      this.inspect(item, { ...where, location: where.location + path }, secrets, depth + 1);
+    });
+  }
+
+  classify(text) {
+    const jwt = this.decodeJwt(text);
+    if (jwt) return [{ type: 'jwt', ...jwt }];
+
+    const found = [];
+    const apiKey = this.apiKeyPatterns.find(({ pattern }) => pattern.test(text));
+    if (apiKey) {
+      found.push({ type: 'api_key', provider: apiKey.provider });
+    }
+    if (this.emailPattern.test(text)) {
+      found.push({ type: 'email' });
+    }
+    if (this.containsCardNumber(text)) {
+      found.push({ type: 'card_number' });
+    }
+    return found;
+  }
+
+  decodeJwt(text) {
+    const match = this.jwtPattern.exec(text);
+    if (!match) return null;
+
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(this.decodeBase64Url(match[1]));
+      payload = JSON.parse(this.decodeBase64Url(match[2]));
+    } catch (error) {
+      return null;
+    }
+    if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') return null;
+
+    // Only the algorithm and timing claims are kept; subject, issuer and the rest are not
+    const algorithm = typeof header.alg === 'string' ? header.alg.substring(0, 20) : null;
+    const hasExpiry = Number.isFinite(payload.exp) && Math.abs(payload.exp) <= this.maxJwtExpSeconds;
+    const expiresAt = hasExpiry ? new Date(payload.exp * 1000).toISOString() : null;
+    return {
+      algorithm,
+      unsigned: !algorithm || algorithm.toLowerCase() === 'none',
+      expiresAt,
+      expired: expiresAt ? payload.exp * 1000 < Date.now() : false
+    };
+  }
+
+  decodeBase64Url(segment) {
+    const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+    return atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  }
+
+  containsCardNumber(text) {
+    for (const match of text.matchAll(this.cardPattern)) {
+      const digits = match[1].replace(/[ -]/g, '');
+      if (digits.length >= 13 && digits.length <= 19 && this.cardPrefixPattern.test(digits) && this.passesLuhn(digits)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  safeName(name) {
+    // Key names are reported, so names that are themselves secrets are masked
+    const text = String(name);
+    return this.classify(text).length > 0 ? '[redacted]' : text.substring(0, 60);
+  }
+
+  withTimeout(promise) {
+    let timer;
+    return Promise.race([
+      promise,
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('timed out')), this.indexedDbTimeoutMs);
+      })
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  toFindings(secrets) {
+    const groups = [
+      {
+        id: 'storage-jwt-unsigned',
+        severity: 'high',
+        match: secret => secret.type === 'jwt' && secret.unsigned,
+        description: 'Web storage holds JSON Web Tokens with alg "none", which anyone can forge.',
+        remediation: 'Sign every token and reject alg "none" on the server.'
+      },
+      {
+        id: 'storage-jwt',
+        severity: 'medium',
+        match: secret => secret.type === 'jwt' && !secret.unsigned,
+        description: 'Web storage holds JSON Web Tokens that any script on the page can read.',
+        remediation: 'Keep session tokens in HttpOnly cookies, or in memory for as short a time as possible.'
+      },
+      {
+        id: 'storage-api-key',
+        severity: 'high',
+        match: secret => secret.type === 'api_key',
+        description: 'Web storage holds what look like API keys or private keys.',
+        remediation: 'Keep secret keys on the server; give the browser short-lived, narrowly scoped credentials instead.'
+      },
+      {
+        id: 'storage-card-number',
+        severity: 'high',
+        match: secret => secret.type === 'card_number',
+        description: 'Web storage holds values shaped like payment card numbers.',
+        remediation: 'Never store card numbers in the browser; use the payment provider\'s tokens.'
+      },
+      {
+        id: 'storage-email',
+        severity: 'low',
+        match: secret => secret.type === 'email',
+        description: 'Web storage holds email addresses.',
+        remediation: 'Avoid keeping personal data in web storage, where it outlives the session.'
+      }
+    ];
+
+    return groups.map(group => {
+      const evidence = secrets.filter(group.match).map(secret => this.describe(secret));
+      return evidence.length === 0 ? null : {
+        id: group.id,
+        severity: group.severity,
+        description: group.description,
+        remediation: group.remediation,
+        evidence,
+        evidenceCount: evidence.length
+      };
+    }).filter(Boolean);
+  }
+
+  describe(secret) {
+    const place = `${secret.area}: ${secret.location}`;
+    if (secret.type === 'jwt') {
+      const expiry = secret.expiresAt
+        ? `${secret.expired ? 'expired' : 'expires'} ${secret.expiresAt}`
+        : 'no expiry';
+      return `${place} (JWT, alg ${secret.algorithm || 'missing'}, ${expiry})`;
+    }
+    if (secret.type === 'api_key') {
+      return `${place} (${secret.provider.replace('_', ' ')} key)`;
+    }
+    return `${place} (${secret.type.replace('_', ' ')})`;
+  }
+}
+
+const storageSecretsScanner = new StorageSecretsScanner();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    StorageSecretsScanner
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * Credential Submission Guard
+ *
+ * Stops a form carrying a password or card number from being sent somewhere
+ * risky until the user confirms. Loaded into the content script after
+ * page-warnings.js and skimmer-detector.js:
+ * - Targets that are plain HTTP, on another registrable domain, or set by script
+ * - The user decides in a modal the page cannot script; the choice is audited
+ * - Only field kinds and the target origin are recorded, never values
+ * form.submit() skips submit events entirely, so scripted submissions are left
+ * to the skimmer detector.
+ */
+
+class SubmitGuard {
+  constructor() {
+    this.contentScript = null;
+    this.approved = new WeakSet();
+    this.reasonLabels = {
+      insecure_action: 'It would be sent without encryption (HTTP).',
+      cross_site: 'It would be sent to a different site than the one you are on.',
+      rewritten_by_script: 'A script on this page changed where the form sends its data.'
+    };
+    this.handleSubmit = this.handleSubmit.bind(this);
+  }
+
+  start(contentScript) {
+    this.contentScript = contentScript;
+
+    // Capture on window so the decision comes before any handler the page added
+    window.addEventListener('submit', this.handleSubmit, true);
+  }
+
+  stop() {
+    window.removeEventListener('submit', this.handleSubmit, true);
+  }
+
+  async handleSubmit(event) {
+    const form = event.target;
+    if (!(form instanceof HTMLFormElement)) return;
+
+    // The resubmission of a form the user already allowed
+    if (this.approved.has(form)) {
+      this.approved.delete(form);
+      return;
+    }
+
+    const fields = this.sensitiveFieldKinds(form);
+    if (fields.length === 0) return;
+
+    const submitter = event.submitter || null;
+    const assessment = this.assess(form, submitter);
+    if (!assessment || assessment.reasons.length === 0) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    const proceed = await pageWarnings.confirm({
+      title: `Send your ${fields.includes('password') ? 'password' : 'card details'} to ${assessment.target}?`,
+      message: 'This form may not be safe to submit:',
+      items: assessment.reasons.map(reason => this.reasonLabels[reason]),
+      proceedLabel: 'Send anyway',
+      cancelLabel: 'Don\'t send'
+    });
+
+    this.contentScript.logActivity('form_submission_warning', {
+      reasons: assessment.reasons,
+      fields,
+      target: assessment.target,
+      severity: assessment.reasons.length > 1 || assessment.reasons.includes('insecure_action') ? 'high' : 'medium',
+      decision: proceed ? 'proceeded' : 'cancelled'
+    });
+
+    if (!proceed || !form.isConnected) return;
+
+    this.approved.add(form);
+    form.requestSubmit(submitter && submitter.form === form ? submitter : undefined);
+  }
+
+  sensitiveFieldKinds(form) {
+    const kinds = new Set();
+    Array.from(form.elements).forEach(element => {
+      if (element.type === 'password') {
+        kinds.add('password');
+      } else if (/^cc-/i.test(element.getAttribute('autocomplete') || '') ||
+                 /card|cvv|cvc|cc-?num/i.test(`${element.name || ''} ${element.id || ''}`)) {
+        kinds.add('card');
+      }
+    });
+    return Array.from(kinds);
+  }
+
+  assess(form, submitter) {
+    // A submit button's formaction overrides the form's own action
+    const action = (submitter && submitter.getAttribute('formaction')) ||
+      form.getAttribute('action') ||
+      window.location.href;
+
+    let url;
+    try {
+      url = new URL(action, document.baseURI);
+    } catch (error) {
+      return null;
+    }
+    if (!/^https?:$/.test(url.protocol)) return null;
+
+    const reasons = [];
+    if (url.protocol === 'http:') {
+      reasons.push('insecure_action');
+    }
+    if (!monitoredDomains.isSameSite(url.hostname, window.location.hostname)) {
+      reasons.push('cross_site');
+    }
+    if (skimmerDetector.wasActionRewritten(form)) {
+      reasons.push('rewritten_by_script');
+    }
+
+    return { target: url.origin, reasons };
+  }
+}
+
+const submitGuard = new SubmitGuard();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SubmitGuard
+  };
+}
@@ -0,0 +1,107 @@
+global.LogRedactor = require('../redaction.js').LogRedactor;
+global.logRedactor = new LogRedactor();
+global.MessageProtocol = require('../message-protocol.js').MessageProtocol;
+global.messageProtocol = new MessageProtocol();
+
+const listener = () => ({ addListener: () => {} });
+global.chrome = {
+  storage: {
+    local: { get: async () => ({}), set: async () => {} },
+    session: { get: async () => ({}), set: async () => {}, remove: async () => {} },
+    onChanged: listener()
+  },
+  runtime: {
+    id: 'test',
+    getURL: path => `chrome-extension://test/${path}`,
+    getManifest: () => ({ version: '0.0.0' }),
+    onInstalled: listener(),
+    onStartup: listener(),
+    onConnect: listener(),
+    onMessage: listener(),
+    onSuspend: listener()
+  },
+  tabs: { onUpdated: listener(), onRemoved: listener(), query: async () => [] },
+  windows: { onRemoved: listener() },
+  permissions: { onAdded: listener(), onRemoved: listener(), contains: async () => false },
+  webRequest: { onHeadersReceived: listener() },
+  scripting: { getRegisteredContentScripts: async () => [] }
+};
+global.MonitoredDomains = require('../monitored-domains.js').MonitoredDomains;
+global.monitoredDomains = new MonitoredDomains();
+global.SecurityHeaderAuditor = require('../security-headers.js').SecurityHeaderAuditor;
+global.CookieAuditor = require('../cookie-auditor.js').CookieAuditor;
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+// Loading the service worker schedules audit log writes that this test has no storage for
+jest.useFakeTimers();
+
+const { SecurityLogger } = require('../background-secure.js');
+
+describe('SecurityLogger hash chain', () => {
+  const createLogger = () => new SecurityLogger({
+    readEncrypted: async () => null,
+    writeEncrypted: async () => {}
+  });
+
+  const sealedTrail = async () => {
+    const logger = createLogger();
+    await logger.ready;
+    logger.log('first_event', { value: 1 });
+    logger.log('second_event', { value: 2 });
+    logger.log('third_event', { value: 3 });
+    return { logger, entries: await logger.getAuditLog() };
+  };
+
+  test('links each entry to the previous one', async () => {
+    const { logger, entries } = await sealedTrail();
+
+    expect(entries.map(entry => entry.seq)).toEqual([1, 2, 3]);
+    expect(entries[0].prevHash).toBe(logger.genesisHash);
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+    expect(await logger.verifyChain(entries, null)).toEqual(expect.objectContaining({ valid: true, checked: 3 }));
+  });
+
+  test('hashes do not depend on property order', async () => {
+    const logger = createLogger();
+
+    expect(logger.canonicalize({ b: 1, a: { d: [2], c: null } })).toBe(logger.canonicalize({ a: { c: null, d: [2] }, b: 1 }));
+  });
+
+  test.each([
+    ['an edited entry', entries => { entries[1].details.value = 99; }, 'entry_modified'],
+    ['a removed entry', entries => { entries.splice(1, 1); }, 'sequence_gap'],
+    ['a relinked entry', entries => { entries[2].prevHash = entries[0].hash; }, 'previous_hash_mismatch'],
+    ['an unsealed entry', entries => { delete entries[2].hash; }, 'unsealed_entry']
+  ])('detects %s', async (label, tamper, reason) => {
+    const { logger, entries } = await sealedTrail();
+    const copy = JSON.parse(JSON.stringify(entries));
+    tamper(copy);
+
+    const result = await logger.verifyChain(copy, null);
+
+    expect(result.valid).toBe(false);
+    expect(result.firstBroken.reason).toBe(reason);
+  });
+
+  test('a trail continuing from an anchor verifies against it', async () => {
+    const { logger, entries } = await sealedTrail();
+    const anchor = { seq: entries[0].seq, hash: entries[0].hash };
+
+    expect((await logger.verifyChain(entries.slice(1), anchor)).valid).toBe(true);
+    expect((await logger.verifyChain(entries.slice(2), anchor)).valid).toBe(false);
+  });
+
+  test('log viewers receive entries only once they are sealed', async () => {
+    const logger = createLogger();
+    await logger.ready;
+    const received = [];
+    logger.viewers.add({ postMessage: message => received.push({ ...message.entry }) });
+
+    logger.log('first_event', { value: 1 });
+    expect(received).toHaveLength(0);
+
+    const [entry] = await logger.getAuditLog();
+    expect(received).toEqual([expect.objectContaining({ action: 'first_event', seq: 1, hash: entry.hash })]);
+  });
+});
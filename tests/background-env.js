@@ -0,0 +1,96 @@
+/**
+ * Loads background-secure.js under Jest with in-memory chrome.* APIs.
+ * Listeners the service worker registers are kept so tests can fire them.
+ */
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    fire: (...args) => listeners.map(listener => listener(...args))
+  };
+}
+
+function createStorageArea() {
+  const items = {};
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  return {
+    items,
+    get: async keys => {
+      const names = keys === null ? Object.keys(items) : [].concat(keys);
+      return Object.fromEntries(names.filter(name => name in items).map(name => [name, copy(items[name])]));
+    },
+    set: async values => {
+      Object.entries(values).forEach(([name, value]) => {
+        items[name] = copy(value);
+      });
+    },
+    remove: async keys => {
+      [].concat(keys).forEach(name => delete items[name]);
+    }
+  };
+}
+
+function loadBackground() {
+  global.chrome = {
+    storage: {
+      local: createStorageArea(),
+      session: createStorageArea(),
+      onChanged: createEvent()
+    },
+    runtime: {
+      id: 'extension-id',
+      getURL: path => `chrome-extension://extension-id/${path}`,
+      getManifest: () => ({ version: '0.0.0', action: { default_title: 'Secure Extension' } }),
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      onConnect: createEvent(),
+      onMessage: createEvent(),
+      onSuspend: createEvent()
+    },
+    tabs: {
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      query: jest.fn(async () => []),
+      get: jest.fn(async tabId => ({ id: tabId, url: 'https://example.com/' }))
+    },
+    windows: {
+      onRemoved: createEvent(),
+      create: jest.fn(async () => ({ id: 42 })),
+      remove: jest.fn(async () => {})
+    },
+    permissions: {
+      onAdded: createEvent(),
+      onRemoved: createEvent(),
+      contains: jest.fn(async () => false)
+    },
+    webRequest: { onHeadersReceived: createEvent() },
+    scripting: {
+      getRegisteredContentScripts: jest.fn(async () => []),
+      registerContentScripts: jest.fn(async () => {}),
+      unregisterContentScripts: jest.fn(async () => {})
+    },
+    action: {
+      setBadgeText: jest.fn(async () => {}),
+      setBadgeBackgroundColor: jest.fn(async () => {}),
+      setTitle: jest.fn(async () => {})
+    }
+  };
+
+  global.LogRedactor = require('../redaction.js').LogRedactor;
+  global.logRedactor = new LogRedactor();
+  global.MessageProtocol = require('../message-protocol.js').MessageProtocol;
+  global.messageProtocol = new MessageProtocol();
+  global.MonitoredDomains = require('../monitored-domains.js').MonitoredDomains;
+  global.monitoredDomains = new MonitoredDomains();
+  global.SecurityHeaderAuditor = require('../security-headers.js').SecurityHeaderAuditor;
+  global.CookieAuditor = require('../cookie-auditor.js').CookieAuditor;
+
+  return require('../background-secure.js');
+}
+
+module.exports = {
+  createEvent,
+  loadBackground
+};
@@ -0,0 +1,126 @@
+const { createEvent, loadBackground } = require('./background-env.js');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+// The consent prompt times out on a timer; promises still need setImmediate to settle
+jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+
+const { SecureStorage, SiteBaselineStore } = loadBackground();
+
+// Jest has no IndexedDB for the device key. The service worker's own storage instance shares the
+// prototype, and its audit log writes can outlive the test, so these are not spies Jest would restore
+SecureStorage.prototype.writeEncrypted = jest.fn(async () => {});
+SecureStorage.prototype.readEncrypted = jest.fn(async () => null);
+
+describe('Storage consent', () => {
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+  const extensionSender = page => ({ id: 'extension-id', url: `chrome-extension://extension-id/${page}` });
+
+  const sendMessage = (type, payload) => new Promise(resolve => {
+    chrome.runtime.onMessage.fire(messageProtocol.createRequest('background', type, payload), extensionSender('popup-secure.html'), resolve);
+  });
+
+  // Plays the consent page: connects, fetches the open request and answers it
+  const answerPrompt = async (decision, remember = false) => {
+    const url = chrome.windows.create.mock.calls.at(-1)[0].url;
+    const port = {
+      name: 'consent',
+      sender: { ...extensionSender(url.split('/').pop()), url },
+      onMessage: createEvent(),
+      onDisconnect: createEvent(),
+      postMessage: jest.fn(),
+      disconnect: jest.fn()
+    };
+    chrome.runtime.onConnect.fire(port);
+
+    port.onMessage.fire(messageProtocol.createPortMessage('consent', 'toBackground', 'GET_CONSENT_REQUEST', {
+      requestId: new URL(url).searchParams.get('request')
+    }));
+    port.onMessage.fire(messageProtocol.createPortMessage('consent', 'toBackground', 'CONSENT_DECISION', { decision, remember }));
+    await settle();
+    return port.postMessage.mock.calls[0][0];
+  };
+
+  let storage;
+
+  beforeEach(async () => {
+    await chrome.storage.local.remove('consentDecisions');
+    await sendMessage('UPDATE_SETTINGS', { settings: { consentRequired: true } });
+    jest.clearAllMocks();
+    storage = new SecureStorage();
+  });
+
+  test('a consent-gated write opens the prompt and waits for the answer', async () => {
+    const stored = storage.store('siteBaselines', { 'https://example.com': {} }, true);
+    await settle();
+
+    expect(chrome.windows.create).toHaveBeenCalledWith(expect.objectContaining({
+      url: expect.stringMatching(/^chrome-extension:\/\/extension-id\/consent-secure\.html\?request=\d+$/),
+      type: 'popup'
+    }));
+    expect(storage.writeEncrypted).not.toHaveBeenCalled();
+
+    const request = await answerPrompt('allow');
+    await stored;
+
+    expect(request).toEqual(expect.objectContaining({ type: 'CONSENT_REQUEST', key: 'siteBaselines', alwaysRemember: true }));
+    expect(storage.writeEncrypted).toHaveBeenCalledWith('siteBaselines', { 'https://example.com': {} });
+  });
+
+  test('the answer for site baselines is remembered for the install', async () => {
+    const stored = storage.store('siteBaselines', {}, true);
+    await settle();
+    await answerPrompt('allow');
+    await stored;
+
+    expect((await chrome.storage.local.get('consentDecisions')).consentDecisions.siteBaselines.decision).toBe('allow');
+
+    await storage.store('siteBaselines', {}, true);
+    expect(chrome.windows.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('a refusal blocks the write', async () => {
+    const stored = storage.store('siteBaselines', {}, true).catch(error => error);
+    await settle();
+    await answerPrompt('deny');
+
+    expect((await stored).message).toBe('User denied storage consent');
+    expect(storage.writeEncrypted).not.toHaveBeenCalled();
+  });
+
+  test('an unanswered prompt is refused without being remembered', async () => {
+    const stored = storage.store('siteBaselines', {}, true);
+    await settle();
+    jest.advanceTimersByTime(60000);
+
+    await expect(stored).rejects.toThrow('User denied storage consent');
+    expect(await chrome.storage.local.get('consentDecisions')).toEqual({});
+  });
+
+  test('turning consentRequired off writes without a prompt', async () => {
+    await sendMessage('UPDATE_SETTINGS', { settings: { consentRequired: false } });
+
+    await storage.store('siteBaselines', {}, true);
+
+    expect(chrome.windows.create).not.toHaveBeenCalled();
+    expect(storage.writeEncrypted).toHaveBeenCalledWith('siteBaselines', {});
+  });
+
+  test('the first baseline save asks for consent without holding up the scan', async () => {
+    const baselines = new SiteBaselineStore(storage);
+    baselines.baselines = {};
+
+    const status = await baselines.check('https://example.com/', { scripts: [] });
+    await settle();
+
+    expect(status).toEqual(expect.objectContaining({ origin: 'https://example.com', changes: [] }));
+    expect(chrome.windows.create).toHaveBeenCalledTimes(1);
+
+    await answerPrompt('allow');
+    await baselines.writing;
+    expect(storage.writeEncrypted).toHaveBeenCalledWith('siteBaselines', expect.objectContaining({
+      'https://example.com': expect.any(Object)
+    }));
+  });
+});
@@ -0,0 +1,42 @@
+const { CspEvaluator } = require('../csp-evaluator.js');
+
+describe('CspEvaluator.parse', () => {
+  const evaluator = new CspEvaluator();
+
+  test('lowercases directive names and keyword sources', () => {
+    const { directives } = evaluator.parse("Script-Src 'SELF' 'Unsafe-Inline' https://CDN.example.com");
+
+    expect(directives.get('script-src')).toEqual(["'self'", "'unsafe-inline'", 'https://CDN.example.com']);
+  });
+
+  test('keeps the case of nonce and hash values', () => {
+    const { directives } = evaluator.parse("script-src 'nonce-AbC123' 'SHA256-XyZ+/09=' 'sha384-QwErTy'");
+
+    expect(directives.get('script-src')).toEqual(["'nonce-AbC123'", "'sha256-XyZ+/09='", "'sha384-QwErTy'"]);
+  });
+
+  test('keeps only the first occurrence of a directive', () => {
+    const { directives } = evaluator.parse("script-src 'self'; script-src *");
+
+    expect(directives.get('script-src')).toEqual(["'self'"]);
+  });
+
+  test('ignores directives a meta policy cannot set', () => {
+    const { directives } = evaluator.parse("default-src 'self'; frame-ancestors 'none'; sandbox", 'meta');
+
+    expect([...directives.keys()]).toEqual(['default-src']);
+  });
+
+  test('splits a header into its comma-separated policies', () => {
+    const policies = evaluator.parseHeader("default-src 'self', script-src 'nonce-Ab'");
+
+    expect(policies).toHaveLength(2);
+    expect(policies[1].directives.get('script-src')).toEqual(["'nonce-Ab'"]);
+  });
+
+  test('still recognises a mixed-case nonce as a nonce', () => {
+    const result = evaluator.evaluate({ enforced: ["script-src 'NONCE-AbC' 'unsafe-inline'; object-src 'none'; base-uri 'none'"] });
+
+    expect(result.findings.map(finding => finding.id)).not.toContain('csp-unsafe-inline');
+  });
+});
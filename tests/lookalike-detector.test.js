@@ -0,0 +1,72 @@
+global.chrome = {
+  storage: {
+    local: { get: async () => ({}) },
+    onChanged: { addListener: () => {} }
+  }
+};
+
+const { MonitoredDomains } = require('../monitored-domains.js');
+global.monitoredDomains = new MonitoredDomains();
+
+const { LookalikeDetector } = require('../lookalike-detector.js');
+
+describe('LookalikeDetector', () => {
+  const detector = new LookalikeDetector();
+  const trusted = ['paypal.com', 'mybank.co.uk'];
+  const reasonsFor = hostname => detector.check(hostname, trusted)?.matches[0].reasons || null;
+
+  describe('decodePunycode', () => {
+    test.each([
+      ['mnchen-3ya', 'münchen'],
+      ['bcher-kva', 'bücher'],
+      ['pypal-4ve', 'pаypal'],
+      ['ihqwcrb4cv8a8dqg056pqjye', '他们为什么不说中文']
+    ])('decodes %s', (input, expected) => {
+      expect(detector.decodePunycode(input)).toBe(expected);
+    });
+
+    test('rejects malformed input', () => {
+      expect(() => detector.decodePunycode('abc-!!')).toThrow('Invalid punycode');
+    });
+
+    test('toUnicode leaves malformed labels as they are', () => {
+      expect(detector.toUnicode('xn--abc-!!.com')).toBe('xn--abc-!!.com');
+      expect(detector.toUnicode('xn--mnchen-3ya.de')).toBe('münchen.de');
+    });
+  });
+
+  describe('check', () => {
+    test('trusts monitored domains, their subdomains and their registrable domain', () => {
+      expect(detector.check('paypal.com', trusted)).toBeNull();
+      expect(detector.check('www.paypal.com', trusted)).toBeNull();
+      expect(detector.check('login.mybank.co.uk', trusted)).toBeNull();
+    });
+
+    test('ignores unrelated hosts and IP addresses', () => {
+      expect(detector.check('example.org', trusted)).toBeNull();
+      expect(detector.check('192.168.0.1', trusted)).toBeNull();
+    });
+
+    test('flags a Cyrillic homograph and shows its Unicode form', () => {
+      const result = detector.check('xn--pypal-4ve.com', trusted);
+
+      expect(result.unicodeHostname).toBe('pаypal.com');
+      expect(result.matches[0]).toEqual({ domain: 'paypal.com', reasons: ['idn_homograph', 'mixed_script'] });
+    });
+
+    test('flags typosquats, including digit and letter-pair swaps', () => {
+      expect(reasonsFor('paypa1.com')).toEqual(['typosquat']);
+      expect(reasonsFor('paypla.com')).toEqual(['typosquat']);
+      expect(reasonsFor('rnybank.co.uk')).toEqual(['typosquat']);
+    });
+
+    test('flags the same name under another suffix', () => {
+      expect(reasonsFor('paypal.net')).toEqual(['tld_swap']);
+    });
+
+    test('flags the brand embedded in another site', () => {
+      expect(reasonsFor('paypal.com.secure-login.net')).toEqual(['brand_embedded']);
+      expect(reasonsFor('login-paypal.io')).toEqual(['brand_embedded']);
+    });
+  });
+});
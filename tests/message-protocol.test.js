@@ -0,0 +1,160 @@
+const { MessageProtocol } = require('../message-protocol.js');
+
+describe('MessageProtocol', () => {
+  const protocol = new MessageProtocol();
+  const { errorCodes } = protocol;
+
+  describe('requests', () => {
+    test('carry the protocol version and a request id', () => {
+      const request = protocol.createRequest('background', 'SCAN_TAB', { tabId: 3 });
+
+      expect(request).toEqual({ protocol: 1, type: 'SCAN_TAB', requestId: expect.any(String), payload: { tabId: 3 } });
+      expect(protocol.validateRequest('background', request)).toBeNull();
+    });
+
+    test('cannot be created with an invalid payload or an unknown type', () => {
+      expect(() => protocol.createRequest('background', 'SCAN_TAB', { tabId: '3' }))
+        .toThrow(expect.objectContaining({ code: errorCodes.INVALID_REQUEST, message: 'Field tabId must be a number' }));
+      expect(() => protocol.createRequest('background', 'NOT_A_TYPE'))
+        .toThrow(expect.objectContaining({ code: errorCodes.INVALID_REQUEST }));
+    });
+
+    test.each([
+      ['a missing request id', { requestId: undefined }, errorCodes.INVALID_REQUEST],
+      ['another protocol version', { protocol: 2 }, errorCodes.UNSUPPORTED_VERSION],
+      ['no protocol version', { protocol: undefined }, errorCodes.UNSUPPORTED_VERSION],
+      ['an unknown type', { type: 'NOT_A_TYPE' }, errorCodes.UNKNOWN_TYPE],
+      ['a type defined for another target', { type: 'SETTINGS_UPDATED' }, errorCodes.UNKNOWN_TYPE],
+      ['an inherited property name', { type: 'constructor' }, errorCodes.UNKNOWN_TYPE],
+      ['a missing payload', { payload: undefined }, errorCodes.INVALID_REQUEST],
+      ['an array payload', { payload: [] }, errorCodes.INVALID_REQUEST]
+    ])('are rejected with %s', (label, changes, code) => {
+      const request = { ...protocol.createRequest('background', 'SCAN_TAB', { tabId: 3 }), ...changes };
+
+      expect(protocol.validateRequest('background', request)).toEqual({ code, message: expect.any(String) });
+    });
+  });
+
+  describe('optional fields', () => {
+    const spec = { tabId: 'number?', events: 'array' };
+
+    test.each([
+      ['missing', { events: [] }],
+      ['null', { tabId: null, events: [] }],
+      ['present', { tabId: 1, events: [] }]
+    ])('accept an optional field that is %s', (label, value) => {
+      expect(protocol.checkFields(value, spec)).toBeNull();
+    });
+
+    test('still check the type of an optional field that is present', () => {
+      expect(protocol.checkFields({ tabId: '1', events: [] }, spec)).toBe('Field tabId must be a number');
+    });
+
+    test('require fields without the marker', () => {
+      expect(protocol.checkFields({ tabId: 1 }, spec)).toBe('Missing field: events');
+      expect(protocol.checkFields({ events: {} }, spec)).toBe('Field events must be an array');
+    });
+  });
+
+  describe('responses', () => {
+    const request = protocol.createRequest('background', 'GET_TAB_SCAN', { tabId: 3 });
+
+    test('echo the request type and id in both envelopes', () => {
+      expect(protocol.success(request, { scan: null })).toEqual({
+        protocol: 1, type: 'GET_TAB_SCAN', requestId: request.requestId, ok: true, data: { scan: null }
+      });
+      expect(protocol.failure(request, errorCodes.NOT_PERMITTED, 'Not permitted')).toEqual({
+        protocol: 1,
+        type: 'GET_TAB_SCAN',
+        requestId: request.requestId,
+        ok: false,
+        error: { code: errorCodes.NOT_PERMITTED, message: 'Not permitted' }
+      });
+    });
+
+    test('a failure without a code is an internal error', () => {
+      expect(protocol.failure(null).error).toEqual({ code: errorCodes.INTERNAL_ERROR, message: 'Internal error' });
+    });
+
+    test('are checked against their request', () => {
+      expect(protocol.validateResponse('background', request, protocol.success(request, { scan: null }))).toBeNull();
+      expect(protocol.validateResponse('background', request, protocol.failure(request, errorCodes.RATE_LIMITED))).toBeNull();
+    });
+
+    test.each([
+      ['no response', undefined],
+      ['another request id', { requestId: 'other' }],
+      ['another protocol version', { protocol: 2 }],
+      ['no ok flag', { ok: undefined }]
+    ])('are rejected when there is %s', (label, changes) => {
+      const response = changes && { ...protocol.success(request, { scan: null }), ...changes };
+
+      expect(protocol.validateResponse('background', request, response)).toBe('Response does not match the request');
+    });
+
+    test('are rejected when an error has no code or data is malformed', () => {
+      expect(protocol.validateResponse('background', request, { ...protocol.failure(request), error: {} }))
+        .toBe('Malformed error response');
+      expect(protocol.validateResponse('background', request, protocol.success(request, { scan: 'none' })))
+        .toBe('Field scan must be an object');
+    });
+  });
+
+  describe('send', () => {
+    afterEach(() => {
+      delete global.chrome;
+    });
+
+    const answerWith = (respond) => {
+      global.chrome = {
+        runtime: { sendMessage: jest.fn(async request => respond(request)) },
+        tabs: { sendMessage: jest.fn(async (tabId, request) => respond(request)) }
+      };
+    };
+
+    test('resolves with the data of a successful response', async () => {
+      answerWith(request => protocol.success(request, { settings: { strictMode: true } }));
+
+      await expect(protocol.send('GET_SETTINGS')).resolves.toEqual({ settings: { strictMode: true } });
+    });
+
+    test('addresses a tab\'s content script when given a tab id', async () => {
+      answerWith(request => protocol.success(request));
+
+      await protocol.send('SETTINGS_UPDATED', { settings: {} }, { tabId: 4 });
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(4, expect.objectContaining({ type: 'SETTINGS_UPDATED' }));
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('throws the error envelope\'s code and message', async () => {
+      answerWith(request => protocol.failure(request, 'STORAGE_LOCKED', 'Storage is locked'));
+
+      await expect(protocol.send('GET_SETTINGS'))
+        .rejects.toEqual(expect.objectContaining({ code: 'STORAGE_LOCKED', message: 'Storage is locked' }));
+    });
+
+    test('throws INVALID_RESPONSE for a reply to another request', async () => {
+      answerWith(request => protocol.success({ ...request, requestId: 'other' }, { settings: {} }));
+
+      await expect(protocol.send('GET_SETTINGS'))
+        .rejects.toEqual(expect.objectContaining({ code: errorCodes.INVALID_RESPONSE }));
+    });
+  });
+
+  describe('port messages', () => {
+    test('are checked per port and direction', () => {
+      expect(protocol.createPortMessage('consent', 'toBackground', 'CONSENT_DECISION', { decision: 'allow', remember: false }))
+        .toEqual({ type: 'CONSENT_DECISION', decision: 'allow', remember: false });
+      expect(protocol.validatePortMessage('consent', 'toPage', { type: 'CONSENT_DECISION', decision: 'allow', remember: false }))
+        .toBe('unknown consent port message type CONSENT_DECISION');
+      expect(protocol.validatePortMessage('audit-log', 'toBackground', { type: 'AUDIT_LOG_ENTRY', entry: {} }))
+        .toBe('unknown audit-log port message type AUDIT_LOG_ENTRY');
+    });
+
+    test('are rejected when malformed', () => {
+      expect(protocol.validatePortMessage('consent', 'toBackground', null)).toBe('Malformed port message');
+      expect(() => protocol.createPortMessage('consent', 'toBackground', 'GET_CONSENT_REQUEST', { requestId: 1 }))
+        .toThrow(expect.objectContaining({ code: errorCodes.INVALID_REQUEST }));
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const { loadBackground } = require('./background-env.js');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+jest.useFakeTimers();
+
+const { RateLimiter, SecureMessageHandler, SecureStorage, SecurityLogger } = loadBackground();
+
+// Jest has no IndexedDB for the device key; audit log writes started by the timers land here
+SecureStorage.prototype.writeEncrypted = jest.fn(async () => {});
+SecureStorage.prototype.readEncrypted = jest.fn(async () => null);
+
+describe('RateLimiter', () => {
+  const drain = (limiter, senderKey, type, now) => {
+    let allowed = 0;
+    while (limiter.consume(senderKey, type, now)) allowed++;
+    return allowed;
+  };
+
+  test('allows a burst of the type\'s capacity, then refuses', () => {
+    const limiter = new RateLimiter();
+
+    expect(drain(limiter, 'content_script:1', 'SCAN_TAB', 0)).toBe(5);
+    expect(limiter.consume('content_script:1', 'SCAN_TAB', 0)).toBe(false);
+  });
+
+  test('uses the default budget for types without their own', () => {
+    const limiter = new RateLimiter();
+
+    expect(drain(limiter, 'extension_page', 'GET_SITE_BASELINE', 0)).toBe(limiter.defaultBudget.capacity);
+  });
+
+  test('refills with time, never beyond the capacity', () => {
+    const limiter = new RateLimiter();
+    drain(limiter, 'content_script:1', 'SCAN_TAB', 0);
+
+    // 10 per minute: one token every 6 seconds
+    expect(limiter.consume('content_script:1', 'SCAN_TAB', 5999)).toBe(false);
+    expect(limiter.consume('content_script:1', 'SCAN_TAB', 12000)).toBe(true);
+    expect(drain(limiter, 'content_script:1', 'SCAN_TAB', 60 * 60000)).toBe(5);
+  });
+
+  test('keeps separate budgets per sender and per type', () => {
+    const limiter = new RateLimiter();
+    drain(limiter, 'content_script:1', 'SCAN_TAB', 0);
+
+    expect(limiter.consume('content_script:2', 'SCAN_TAB', 0)).toBe(true);
+    expect(limiter.consume('content_script:1', 'GET_SETTINGS', 0)).toBe(true);
+  });
+
+  test('reports only the first rejection of an episode and counts the rest', () => {
+    const limiter = new RateLimiter();
+
+    expect(limiter.noteThrottled('content_script:1', 'SCAN_TAB', { tabId: 1 }, 0)).toBe(true);
+    expect(limiter.noteThrottled('content_script:1', 'SCAN_TAB', { tabId: 1 }, 1000)).toBe(false);
+    expect(limiter.noteThrottled('content_script:1', 'SCAN_TAB', { tabId: 1 }, 2000)).toBe(false);
+
+    expect(limiter.takeEndedEpisode('content_script:1', 'SCAN_TAB', 59999)).toBeNull();
+    expect(limiter.takeEndedEpisode('content_script:1', 'SCAN_TAB', 60000)).toEqual({
+      type: 'SCAN_TAB',
+      details: { tabId: 1 },
+      suppressed: 2,
+      startedAt: 0
+    });
+    expect(limiter.getStats()).toEqual(expect.objectContaining({ throttled: 3, throttledByType: { SCAN_TAB: 3 } }));
+  });
+
+  test('takes every ended episode, or all of them when asked', () => {
+    const limiter = new RateLimiter();
+    limiter.noteThrottled('content_script:1', 'SCAN_TAB', {}, 0);
+    limiter.noteThrottled('content_script:2', 'SCAN_TAB', {}, 30000);
+
+    expect(limiter.takeEndedEpisodes(60000)).toHaveLength(1);
+    expect(limiter.takeEndedEpisodes(60000, true)).toHaveLength(1);
+    expect(limiter.episodes.size).toBe(0);
+  });
+
+  test('forgets a removed sender and hands back its open episodes', () => {
+    const limiter = new RateLimiter();
+    drain(limiter, 'content_script:1', 'SCAN_TAB', 0);
+    limiter.noteThrottled('content_script:1', 'SCAN_TAB', {}, 0);
+    limiter.noteThrottled('content_script:12', 'SCAN_TAB', {}, 0);
+
+    expect(limiter.removeSender('content_script:1')).toHaveLength(1);
+    expect(limiter.buckets.has('content_script:1')).toBe(false);
+    expect(limiter.episodes.has('content_script:12|SCAN_TAB')).toBe(true);
+  });
+});
+
+describe('SecureMessageHandler throttle summaries', () => {
+  const sender = { kind: 'content_script', origin: 'https://example.com', tabId: 7 };
+  let handler;
+  let log;
+
+  const summaries = () => log.mock.calls
+    .filter(([event, details]) => event === 'rate_limit_exceeded' && details.aggregated);
+
+  const flood = (count) => {
+    for (let i = 0; i < count; i++) handler.checkRateLimit('SCAN_TAB', sender);
+  };
+
+  beforeEach(() => {
+    jest.clearAllTimers();
+    log = jest.spyOn(SecurityLogger.prototype, 'log').mockImplementation(() => {});
+    handler = new SecureMessageHandler();
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  test('logs the first rejection at once and the rest in one summary', () => {
+    flood(8);
+
+    expect(log.mock.calls.filter(([event]) => event === 'rate_limit_exceeded')).toHaveLength(1);
+
+    jest.advanceTimersByTime(60000);
+    handler.checkRateLimit('SCAN_TAB', sender);
+
+    expect(summaries()).toEqual([['rate_limit_exceeded', expect.objectContaining({
+      type: 'SCAN_TAB',
+      tabId: 7,
+      suppressed: 2,
+      aggregated: true
+    })]]);
+  });
+
+  test('writes the summary on a timer when the sender goes quiet', () => {
+    flood(8);
+    jest.advanceTimersByTime(59999);
+    expect(summaries()).toHaveLength(0);
+
+    jest.advanceTimersByTime(1);
+    expect(summaries()).toEqual([['rate_limit_exceeded', expect.objectContaining({ suppressed: 2, windowMs: 60000 })]]);
+    expect(handler.rateLimiter.episodes.size).toBe(0);
+  });
+
+  test('writes open summaries when the tab closes', () => {
+    flood(8);
+    handler.handleTabRemoved(7);
+
+    expect(summaries()).toHaveLength(1);
+    expect(handler.rateLimiter.buckets.size).toBe(0);
+  });
+
+  test('writes open summaries when the service worker is suspended', () => {
+    flood(8);
+    handler.flushThrottleSummaries(true);
+
+    expect(summaries()).toHaveLength(1);
+  });
+
+  test('a single rejection needs no summary', () => {
+    flood(6);
+    jest.advanceTimersByTime(60000);
+
+    expect(summaries()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,124 @@
+const { LogRedactor } = require('../redaction.js');
+
+describe('LogRedactor', () => {
+  const createRedactor = (salt = 'install-salt') => {
+    const redactor = new LogRedactor();
+    redactor.setSalt(salt);
+    return redactor;
+  };
+
+  const event = {
+    url: 'https://shop.example.com/account/jane@example.com?session=abc#orders',
+    fieldName: 'card-number',
+    buttonText: 'Pay Jane Doe',
+    userAgent: 'Mozilla/5.0',
+    message: 'Order 1234 for card 4111111111111111 by jane@example.com',
+    timestamp: '2026-01-02T03:04:05.678Z',
+    hash: 'a'.repeat(64)
+  };
+
+  describe('levels', () => {
+    test('minimal strips the query and fragment and masks emails only', () => {
+      expect(createRedactor().redact(event, 'minimal')).toEqual({
+        url: 'https://shop.example.com/account/[email]',
+        fieldName: 'card-number',
+        buttonText: 'Pay Jane Doe',
+        userAgent: 'Mozilla/5.0',
+        message: 'Order 1234 for card 4111111111111111 by [email]',
+        timestamp: '2026-01-02T03:04:05.678Z',
+        hash: 'a'.repeat(64)
+      });
+    });
+
+    test('standard also hashes identifiers, masks long numbers and drops free text', () => {
+      const result = createRedactor().redact(event, 'standard');
+
+      expect(result.fieldName).toMatch(/^hash:[0-9a-f]{12}$/);
+      expect(result.message).toBe('Order 1234 for card [number] by [email]');
+      expect(result).not.toHaveProperty('buttonText');
+      expect(result.userAgent).toBe('Mozilla/5.0');
+    });
+
+    test('paranoid cuts URLs to their origin, masks short numbers and drops the user agent', () => {
+      const result = createRedactor().redact(event, 'paranoid');
+
+      expect(result.url).toBe('https://shop.example.com');
+      expect(result.message).toBe('Order [number] for card [number] by [email]');
+      expect(result).not.toHaveProperty('userAgent');
+    });
+
+    test('an unknown level falls back to the default', () => {
+      const redactor = createRedactor();
+
+      expect(redactor.redact(event, 'none')).toEqual(redactor.redact(event, redactor.defaultLevel));
+    });
+
+    test('keeps timestamps and our own hashes untouched at every level', () => {
+      const result = createRedactor().redact(event, 'paranoid');
+
+      expect(result.timestamp).toBe(event.timestamp);
+      expect(result.hash).toBe(event.hash);
+    });
+  });
+
+  describe('URLs', () => {
+    test.each([
+      ['https://example.com/path?token=secret', 'https://example.com/path'],
+      ['https://example.com/path#access_token=secret', 'https://example.com/path'],
+      ['https://example.com/?a=1', 'https://example.com/'],
+      ['https://example.com', 'https://example.com'],
+      ['https://example.com?a=1#top', 'https://example.com'],
+      ['https://example.com:8443', 'https://example.com:8443']
+    ])('redacts %s to %s', (value, expected) => {
+      expect(createRedactor().redact(value, 'minimal')).toBe(expected);
+    });
+
+    test('redacts URLs inside free text', () => {
+      expect(createRedactor().redact('Loaded https://example.com/a?b=c from cache', 'minimal'))
+        .toBe('Loaded https://example.com/a from cache');
+    });
+
+    test('masks secrets in percent-encoded paths', () => {
+      expect(createRedactor().redact('https://example.com/users/jane%40example.com', 'minimal'))
+        .toBe('https://example.com/users/[email]');
+    });
+  });
+
+  describe('identifier hashing', () => {
+    test('is stable for one salt', () => {
+      const redactor = createRedactor();
+
+      expect(redactor.hashIdentifier('email')).toBe(redactor.hashIdentifier('email'));
+      expect(redactor.hashIdentifier('email')).not.toBe(redactor.hashIdentifier('password'));
+    });
+
+    test('differs between installations', () => {
+      expect(createRedactor('salt-a').hashIdentifier('email')).not.toBe(createRedactor('salt-b').hashIdentifier('email'));
+    });
+
+    test('withholds identifiers until a salt is set', () => {
+      expect(createRedactor(null).redact({ fieldName: 'email' }, 'standard')).toEqual({ fieldName: '[identifier]' });
+    });
+
+    test('keeps identifiers when asked to', () => {
+      expect(createRedactor().redact({ fieldName: 'email' }, 'standard', { keepIdentifiers: true }))
+        .toEqual({ fieldName: 'email' });
+    });
+  });
+
+  describe('idempotence', () => {
+    test.each(['minimal', 'standard', 'paranoid'])('redacting twice at %s changes nothing more', (level) => {
+      const redactor = createRedactor();
+      const once = redactor.redact(event, level);
+
+      expect(redactor.redact(once, level)).toEqual(once);
+    });
+
+    test('a stricter level can be applied again on export', () => {
+      const redactor = createRedactor();
+      const stored = redactor.redact(event, 'minimal');
+
+      expect(redactor.redact(stored, 'paranoid')).toEqual(redactor.redact(event, 'paranoid'));
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { loadBackground } = require('./background-env.js');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+jest.useFakeTimers();
+
+const { SecureMessageHandler } = loadBackground();
+
+describe('SecureMessageHandler sender checks', () => {
+  const handler = new SecureMessageHandler();
+  const extensionUrl = 'chrome-extension://extension-id';
+  const tab = { id: 5 };
+
+  describe('isOriginAllowed', () => {
+    test.each([
+      'https://example.com',
+      'https://shop.example.com'
+    ])('allows %s', (origin) => {
+      expect(handler.isOriginAllowed(origin)).toBe(true);
+    });
+
+    test.each([
+      ['a lookalike suffix', 'https://example.com.attacker.net'],
+      ['a lookalike prefix', 'https://attacker-example.com'],
+      ['a non-default port', 'https://example.com:8443'],
+      ['plain HTTP', 'http://example.com'],
+      ['a path', 'https://example.com/account'],
+      ['a trailing slash', 'https://example.com/'],
+      ['credentials', 'https://user@example.com'],
+      ['a different case', 'https://EXAMPLE.com'],
+      ['the opaque "null" origin', 'null'],
+      ['no origin', undefined]
+    ])('refuses %s', (label, origin) => {
+      expect(handler.isOriginAllowed(origin)).toBe(false);
+    });
+  });
+
+  describe('describeSender', () => {
+    test('trusts a content script in a monitored tab', () => {
+      expect(handler.describeSender({ id: 'extension-id', tab, frameId: 0, origin: 'https://example.com' }))
+        .toEqual({ kind: 'content_script', origin: 'https://example.com', tabId: 5, frameId: 0 });
+    });
+
+    test.each([
+      ['a lookalike domain', 'https://example.com.attacker.net'],
+      ['a non-default port', 'https://example.com:8443']
+    ])('does not trust a content script on %s', (label, origin) => {
+      expect(handler.describeSender({ id: 'extension-id', tab, frameId: 0, origin }).kind).toBe('untrusted');
+    });
+
+    test.each([
+      ['a foreign extension', { id: 'other-extension', url: 'chrome-extension://other-extension/popup.html' }],
+      ['a foreign extension claiming our URL', { id: 'other-extension', url: `${extensionUrl}/popup-secure.html` }],
+      ['a foreign content script on a monitored page', { id: 'other-extension', tab, origin: 'https://example.com' }],
+      ['a web page', { tab, origin: 'https://example.com', url: 'https://example.com/' }]
+    ])('marks %s as foreign', (label, sender) => {
+      expect(handler.describeSender(sender).kind).toBe('foreign');
+    });
+
+    test('recognises the popup', () => {
+      expect(handler.describeSender({ id: 'extension-id', url: `${extensionUrl}/popup-secure.html`, origin: extensionUrl }).kind)
+        .toBe('extension_page');
+    });
+
+    test('recognises the options page opened in a tab', () => {
+      const sender = { id: 'extension-id', tab, frameId: 0, url: `${extensionUrl}/options-secure.html`, origin: extensionUrl };
+
+      expect(handler.describeSender(sender)).toEqual({ kind: 'extension_page', origin: extensionUrl, tabId: 5, frameId: 0 });
+    });
+
+    test.each([
+      ['a URL that only starts with our origin', { url: `${extensionUrl}-evil/popup-secure.html` }],
+      ['a page URL with a web origin', { url: `${extensionUrl}/popup-secure.html`, origin: 'https://example.com' }],
+      ['no URL', {}]
+    ])('does not take %s for an extension page', (label, fields) => {
+      expect(handler.describeSender({ id: 'extension-id', ...fields }).kind).toBe('untrusted');
+    });
+  });
+
+  describe('authorize', () => {
+    const request = type => messageProtocol.createRequest('background', type, type === 'SCAN_TAB' ? { tabId: 5 } : {});
+
+    test('refuses extension-page messages from a content script', () => {
+      const sender = handler.describeSender({ id: 'extension-id', tab, origin: 'https://example.com' });
+
+      expect(handler.authorize(request('CLEAR_AUDIT_LOG'), sender))
+        .toEqual(expect.objectContaining({ reason: 'not_permitted_for_content_script' }));
+    });
+
+    test('refuses content-script messages from the options page in a tab', () => {
+      const sender = handler.describeSender({ id: 'extension-id', tab, url: `${extensionUrl}/options-secure.html` });
+
+      expect(handler.authorize(request('GET_COOKIE_AUDIT'), sender))
+        .toEqual(expect.objectContaining({ reason: 'not_permitted_for_extension_page' }));
+    });
+
+    test('refuses foreign extensions before looking at the message', () => {
+      const sender = handler.describeSender({ id: 'other-extension', url: 'chrome-extension://other-extension/x.html' });
+
+      expect(handler.authorize(request('SCAN_TAB'), sender))
+        .toEqual(expect.objectContaining({ reason: 'foreign_sender', code: messageProtocol.errorCodes.NOT_PERMITTED }));
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const { StorageSecretsScanner } = require('../storage-secrets.js');
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const token = (header, payload, signature = 'c2lnbmF0dXJl') => `${encode(header)}.${encode(payload)}.${signature}`;
+
+describe('StorageSecretsScanner', () => {
+  const scanner = new StorageSecretsScanner();
+
+  describe('decodeJwt', () => {
+    test('keeps the algorithm and expiry only', () => {
+      const result = scanner.decodeJwt(token({ alg: 'RS256' }, { sub: 'user-1', exp: 1700000000 }));
+
+      expect(result).toEqual({
+        algorithm: 'RS256',
+        unsigned: false,
+        expiresAt: '2023-11-14T22:13:20.000Z',
+        expired: true
+      });
+    });
+
+    test('flags alg "none" as unsigned', () => {
+      expect(scanner.decodeJwt(token({ alg: 'none' }, { sub: 'user-1' }, '')).unsigned).toBe(true);
+    });
+
+    test('accepts a Bearer prefix', () => {
+      expect(scanner.decodeJwt(`Bearer ${token({ alg: 'HS256' }, { sub: 'user-1' })}`)).not.toBeNull();
+    });
+
+    test.each([
+      ['far beyond the Date range', 1e300],
+      ['just past the Date range', 8.64e12 + 1],
+      ['hugely negative', -1e20],
+      ['a string', '1700000000'],
+      ['null', null]
+    ])('treats an expiry that is %s as missing', (label, exp) => {
+      const result = scanner.decodeJwt(token({ alg: 'HS256' }, { exp }));
+
+      expect(result.expiresAt).toBeNull();
+      expect(result.expired).toBe(false);
+    });
+
+    test('formats the latest expiry a Date can hold', () => {
+      expect(scanner.decodeJwt(token({ alg: 'HS256' }, { exp: 8.64e12 })).expiresAt).toBe('+275760-09-13T00:00:00.000Z');
+    });
+
+    test('returns null for text that is not a JWT', () => {
+      expect(scanner.decodeJwt('eyJub3Q.eyJqc29u.sig')).toBeNull();
+      expect(scanner.decodeJwt('hello')).toBeNull();
+    });
+  });
+
+  describe('card numbers', () => {
+    test('passesLuhn accepts valid and rejects altered numbers', () => {
+      expect(scanner.passesLuhn('4111111111111111')).toBe(true);
+      expect(scanner.passesLuhn('4111111111111112')).toBe(false);
+    });
+
+    test('finds separated card numbers in text', () => {
+      expect(scanner.containsCardNumber('card: 4111 1111 1111 1111')).toBe(true);
+      expect(scanner.containsCardNumber('5500-0000-0000-0004')).toBe(true);
+    });
+
+    test('ignores Luhn-valid numbers without an issuer prefix', () => {
+      // A millisecond timestamp that happens to pass the Luhn check
+      expect(scanner.passesLuhn('1700000000004')).toBe(true);
+      expect(scanner.containsCardNumber('1700000000004')).toBe(false);
+    });
+  });
+
+  describe('inspect', () => {
+    test('reports where a secret is, never its value', () => {
+      const secrets = [];
+      scanner.inspect(JSON.stringify({ session: { token: token({ alg: 'none' }, { sub: 'user-1' }) } }), { area: 'localStorage', location: 'app' }, secrets);
+
+      expect(secrets).toEqual([expect.objectContaining({ area: 'localStorage', location: 'app.session.token', type: 'jwt' })]);
+      expect(JSON.stringify(secrets)).not.toContain('eyJ');
+    });
+
+    test('masks key names that are secrets themselves', () => {
+      expect(scanner.safeName('user@example.com')).toBe('[redacted]');
+      expect(scanner.safeName('cart')).toBe('cart');
+    });
+
+    test('a value that fails inspection is skipped, not thrown', () => {
+      const failing = new StorageSecretsScanner();
+      failing.inspect = () => {
+        throw new RangeError('Invalid time value');
+      };
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(() => failing.inspectEntry('anything', { area: 'localStorage', location: 'k' }, [])).not.toThrow();
+      warn.mockRestore();
+    });
+  });
+});